@@ -0,0 +1,2400 @@
+/**
+ * Circuit Lab engine
+ * Pure circuit logic shared by the app (index.html) and both test suites.
+ * Nothing here touches the DOM or keeps state: every function is handed the
+ * components and wires it should work on.
+ *
+ * Browser: <script src="circuit-engine.js"> defines window.CircuitEngine
+ * Node:    const CircuitEngine = require('./circuit-engine');
+ */
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) module.exports = factory();
+  else root.CircuitEngine = factory();
+})(typeof self !== 'undefined' ? self : this, function () {
+  'use strict';
+
+  // ============ CONFIG ============
+  const GRID = 60; // snap grid size
+  const COMP_W = GRID * 2;
+  const COMP_H = GRID;
+  const TERMINAL_HIT_RADIUS = 40; // Hit detection radius (very generous for kids)
+  const NODE_HIT_RADIUS = 20; // Junction terminals are close together - keep the middle free for dragging
+  const WIRE_HIT_RADIUS = 16; // How far from a wire a tap still picks it
+  const ROUTE_STEP = GRID / 2; // wires bend on a half-grid lattice (terminals sit mid-cell)
+  const ROUTE_MARGIN = GRID * 4; // how far a route may stray outside its ends' bounding box
+  const BEND_COST = GRID; // a bend is worth a grid square of extra length
+  const LIGHT_RANGE = GRID * 3; // a lit bulb this close (centre to centre) closes a light sensor
+  const MAGNET_RANGE = GRID * 2; // a magnet this close closes a reed switch
+
+  // ============ COMPONENT DEFINITIONS ============
+  // Electrical and connection data only - the app owns the glyphs.
+  // Parts are COMP_W × COMP_H unless the def gives its own w/h.
+  //   terminals    first one sits on the left, second on the right (battery: + on the right)
+  //   polarity     marks terminals that have a direction ('+' / '−')
+  //   resistance   ohms of a load; ratedVoltage/ratedCurrent = full brightness or speed
+  //   forwardVoltage  one-way part (LED): conducts + → − once pushed past this
+  //   values       settings to pick from; valueIs says what the picked value means
+  //   hasState     on/off that sticks (switch); momentary = closed only while pressed
+  //   throws       changeover (two-way) switch: the first terminal joins throws[0]
+  //                when OFF and throws[1] when ON
+  //   conducts     (comp, scene) -> whether the part joins its contacts right now.
+  //                scene = {components, solution} where solution is the previous
+  //                solve (null on the first pass), so a part can react to the rest
+  //                of the canvas. Batteries never join theirs - + to − is the source.
+  //   contacts     terminals joined when it conducts (default: all of them);
+  //                inputs = gate terminals that only sense a voltage
+  //   lightSource  lights up nearby light sensors while powered
+  //   prop         no terminals, just something to move around (magnet)
+  const COMP_DEFS = {
+    battery: { label:'Battery', color:'var(--neon-green)', terminals:['pos','neg'], polarity:{pos:'+', neg:'−'},
+               cellVoltage:1.5, internalResistance:0.1, values:[1,2,3,4], defaultValue:2, valueIs:'cells',
+               conducts: () => false },
+    bulb: { label:'Bulb', color:'var(--neon-yellow)', terminals:['left','right'], resistance:10, ratedVoltage:3, lightSource:true },
+    switch: { label:'Switch', color:'var(--neon-blue)', terminals:['left','right'], hasState:true,
+              conducts: comp => !!comp.state },
+    button: { label:'Button', color:'var(--neon-blue)', terminals:['left','right'], momentary:true,
+              conducts: comp => !!comp.pressed },
+    two_way: { label:'Two-way', color:'var(--neon-blue)', terminals:['com','a','b'], hasState:true,
+               throws:['a','b'], h:GRID * 2 },
+    motor: { label:'Motor', color:'var(--neon-purple)', terminals:['left','right'], resistance:8, ratedVoltage:3 },
+    buzzer: { label:'Buzzer', color:'var(--neon-orange)', terminals:['left','right'], resistance:20, ratedVoltage:3 },
+    led: { label:'LED', color:'var(--neon-red)', terminals:['anode','cathode'], polarity:{anode:'+', cathode:'−'},
+           resistance:25, forwardVoltage:2, ratedCurrent:0.02, lightSource:true },
+    resistor: { label:'Resistor', color:'#d9a066', terminals:['left','right'],
+                values:[10,47,100,220,470,1000], defaultValue:100, valueIs:'resistance' },
+    light_sensor: { label:'Light', color:'var(--neon-yellow)', terminals:['left','right'],
+                    conducts: (comp, scene) => isLitNearby(comp, scene) },
+    reed_switch: { label:'Reed', color:'var(--neon-blue)', terminals:['left','right'],
+                   conducts: (comp, scene) => isMagnetNearby(comp, scene) },
+    magnet: { label:'Magnet', color:'var(--neon-red)', terminals:[], prop:true, w:GRID, h:GRID },
+    and_gate: { label:'AND', color:'var(--neon-purple)', terminals:['a','b','in','out'], inputs:['a','b'],
+                contacts:['in','out'], h:GRID * 2,
+                conducts: (comp, scene) => isInputHigh(comp, 'a', scene) && isInputHigh(comp, 'b', scene) },
+    or_gate: { label:'OR', color:'var(--neon-purple)', terminals:['a','b','in','out'], inputs:['a','b'],
+               contacts:['in','out'], h:GRID * 2,
+               conducts: (comp, scene) => isInputHigh(comp, 'a', scene) || isInputHigh(comp, 'b', scene) },
+    wire_node: { label:'Junction', color:'var(--neon-green)', terminals:['a','b','c','d'], isNode:true, w:GRID, h:GRID }
+  };
+
+  // Ohms of a load, or undefined for parts that are not one
+  function getResistance(comp) {
+    const def = COMP_DEFS[comp.type];
+    return def.valueIs === 'resistance' ? comp.value : def.resistance;
+  }
+
+  // Volts of a battery: its cells in series
+  function getBatteryVoltage(comp) {
+    const def = COMP_DEFS[comp.type];
+    return def.cellVoltage * comp.value;
+  }
+
+  // ============ GEOMETRY ============
+  function snap(v) { return Math.round(v / GRID) * GRID; }
+
+  // Components turn in quarter steps about the centre of their box
+  const ROTATIONS = [0, 90, 180, 270];
+
+  function compSize(type) {
+    const def = COMP_DEFS[type];
+    return { w:def.w || COMP_W, h:def.h || COMP_H };
+  }
+
+  function createComponent(type, x, y, id, state) {
+    return {
+      id: id,
+      type: type,
+      x: snap(x),
+      y: snap(y),
+      rotation: 0,
+      state: COMP_DEFS[type].hasState ? (state !== undefined ? state : false) : undefined,
+      value: COMP_DEFS[type].values ? COMP_DEFS[type].defaultValue : undefined
+    };
+  }
+
+  // (dx, dy) turned clockwise on screen by `rotation` degrees
+  function rotateOffset(dx, dy, rotation) {
+    switch (rotation) {
+      case 90: return {x:-dy, y:dx};
+      case 180: return {x:-dx, y:-dy};
+      case 270: return {x:dy, y:-dx};
+      default: return {x:dx, y:dy};
+    }
+  }
+
+  function getTerminals(comp) {
+    // Laid out unrotated, relative to the box centre
+    const def = COMP_DEFS[comp.type];
+    const {w, h} = compSize(comp.type);
+    const local = {};
+    if (comp.type === 'battery') {
+      local.pos = {x:w/2, y:0};
+      local.neg = {x:-w/2, y:0};
+    } else if (comp.type === 'wire_node') {
+      local.a = {x:0, y:-h/2};
+      local.b = {x:w/2, y:0};
+      local.c = {x:0, y:h/2};
+      local.d = {x:-w/2, y:0};
+    } else if (def.inputs) {
+      // Gate: inputs down the left, the contacts it switches down the right
+      def.inputs.forEach((t, i) => { local[t] = {x:-w/2, y:(i - 0.5) * h/2}; });
+      def.contacts.forEach((t, i) => { local[t] = {x:w/2, y:(i - 0.5) * h/2}; });
+    } else if (def.throws) {
+      // Two-way: common on the left, one throw above the other on the right
+      local[def.terminals[0]] = {x:-w/2, y:0};
+      def.throws.forEach((t, i) => { local[t] = {x:w/2, y:(i - 0.5) * h/2}; });
+    } else if (def.terminals.length === 2) {
+      const [first, second] = def.terminals;
+      local[first] = {x:-w/2, y:0};
+      local[second] = {x:w/2, y:0};
+    }
+    const cx = comp.x + w/2, cy = comp.y + h/2;
+    const terms = {};
+    for (const [name, p] of Object.entries(local)) {
+      const r = rotateOffset(p.x, p.y, comp.rotation || 0);
+      terms[name] = {x:cx + r.x, y:cy + r.y};
+    }
+    return terms;
+  }
+
+  function getTerminalPos(components, compId, terminal) {
+    const comp = components.find(c=>c.id===compId);
+    if (!comp) return {x:0,y:0};
+    return getTerminals(comp)[terminal] || {x:0,y:0};
+  }
+
+  // Middle of a component's box - the same at every rotation
+  function compCenter(comp) {
+    const {w, h} = compSize(comp.type);
+    return { x:comp.x + w/2, y:comp.y + h/2 };
+  }
+
+  // Area a component occupies - wires route around it
+  function getCompBox(comp) {
+    const {w, h} = compSize(comp.type);
+    if (comp.rotation === 90 || comp.rotation === 270) {
+      return { x:comp.x + (w - h)/2, y:comp.y - (w - h)/2, w:h, h:w };
+    }
+    return { x:comp.x, y:comp.y, w, h };
+  }
+
+  // Box around every part and every wire bend - null on an empty canvas
+  function getCircuitBounds(components, wires) {
+    const boxes = components.map(getCompBox);
+    for (const wire of wires) {
+      for (const p of wire.waypoints || []) boxes.push({ x:p.x, y:p.y, w:0, h:0 });
+    }
+    if (!boxes.length) return null;
+    const x = Math.min(...boxes.map(b => b.x));
+    const y = Math.min(...boxes.map(b => b.y));
+    return {
+      x, y,
+      w: Math.max(...boxes.map(b => b.x + b.w)) - x,
+      h: Math.max(...boxes.map(b => b.y + b.h)) - y
+    };
+  }
+
+  // ============ VIEW ============
+  // The canvas is a window onto an unbounded plane. A view {x, y, zoom} puts
+  // plane point (x, y) at the canvas's top-left corner, drawn `zoom` times
+  // life size. Everything else (parts, wires, hit testing) stays in plane units.
+  const ZOOM_MIN = 0.25;
+  const ZOOM_MAX = 3;
+
+  function clampZoom(zoom) {
+    return Math.min(ZOOM_MAX, Math.max(ZOOM_MIN, zoom));
+  }
+
+  // Canvas pixel (px, py) -> plane point
+  function viewToPlane(view, px, py) {
+    return { x:view.x + px / view.zoom, y:view.y + py / view.zoom };
+  }
+
+  // Zooms by `factor`, keeping the plane point under canvas pixel (px, py) still
+  function zoomView(view, px, py, factor) {
+    const zoom = clampZoom(view.zoom * factor);
+    const p = viewToPlane(view, px, py);
+    return { x:p.x - px / zoom, y:p.y - py / zoom, zoom };
+  }
+
+  // View showing all of `bounds` (plus a grid square around it) centred on a
+  // width x height canvas. Never blows a small circuit up past life size.
+  function fitView(bounds, width, height) {
+    if (!bounds) return { x:0, y:0, zoom:1 };
+    const zoom = clampZoom(Math.min(1, width / (bounds.w + GRID*2), height / (bounds.h + GRID*2)));
+    return {
+      x: bounds.x + bounds.w/2 - width/2 / zoom,
+      y: bounds.y + bounds.h/2 - height/2 / zoom,
+      zoom
+    };
+  }
+
+  // ============ WIRE ROUTING ============
+  // Wires are orthogonal polylines. A wire with `waypoints` (its bends, set by
+  // dragging segments) keeps that shape; one without is routed around the
+  // component boxes on every render.
+
+  // Binary min-heap of (priority, value) pairs
+  function makeHeap() {
+    const items = [];
+    return {
+      get size() { return items.length; },
+      push(priority, value) {
+        items.push([priority, value]);
+        let i = items.length - 1;
+        while (i > 0) {
+          const up = (i - 1) >> 1;
+          if (items[up][0] <= items[i][0]) break;
+          [items[up], items[i]] = [items[i], items[up]];
+          i = up;
+        }
+      },
+      pop() {
+        const top = items[0];
+        const last = items.pop();
+        if (items.length) {
+          items[0] = last;
+          let i = 0;
+          for (;;) {
+            const l = 2*i + 1, r = l + 1;
+            let m = i;
+            if (l < items.length && items[l][0] < items[m][0]) m = l;
+            if (r < items.length && items[r][0] < items[m][0]) m = r;
+            if (m === i) break;
+            [items[m], items[i]] = [items[i], items[m]];
+            i = m;
+          }
+        }
+        return top[1];
+      }
+    };
+  }
+
+  // Drops repeated points and the middle points of straight runs
+  function simplifyPath(points) {
+    const out = [];
+    for (const p of points) {
+      const last = out[out.length-1];
+      if (last && last.x === p.x && last.y === p.y) continue;
+      const prev = out[out.length-2];
+      if (prev && ((prev.x === last.x && last.x === p.x) || (prev.y === last.y && last.y === p.y))) out.pop();
+      out.push(p);
+    }
+    return out.length > 1 ? out : [points[0], points[points.length-1]];
+  }
+
+  // Adds an elbow (horizontal first) between neighbours that are not lined up
+  function orthogonalize(points) {
+    const out = [points[0]];
+    for (let i = 1; i < points.length; i++) {
+      const p = out[out.length-1], q = points[i];
+      if (p.x !== q.x && p.y !== q.y) out.push({x:q.x, y:p.y});
+      out.push(q);
+    }
+    return out;
+  }
+
+  // Shortest few-bend orthogonal path from a to b that stays off component
+  // boxes (A* over the ROUTE_STEP lattice). Falls back to a plain elbow.
+  function routeWire(components, a, b) {
+    const S = ROUTE_STEP;
+    const onLattice = v => Math.round(v / S) * S;
+    const start = {x:onLattice(a.x), y:onLattice(a.y)};
+    const goal = {x:onLattice(b.x), y:onLattice(b.y)};
+    const minX = Math.min(start.x, goal.x) - ROUTE_MARGIN, minY = Math.min(start.y, goal.y) - ROUTE_MARGIN;
+    const cols = (Math.max(start.x, goal.x) + ROUTE_MARGIN - minX) / S + 1;
+    const rows = (Math.max(start.y, goal.y) + ROUTE_MARGIN - minY) / S + 1;
+    const cell = (x, y) => ((y - minY) / S) * cols + (x - minX) / S;
+
+    // Lattice points on or inside a component box are off limits (bar the goal)
+    const blocked = new Uint8Array(cols * rows);
+    for (const r of components.map(getCompBox)) {
+      for (let y = Math.max(minY, Math.ceil(r.y / S) * S); y <= Math.min(minY + (rows-1)*S, r.y + r.h); y += S) {
+        for (let x = Math.max(minX, Math.ceil(r.x / S) * S); x <= Math.min(minX + (cols-1)*S, r.x + r.w); x += S) {
+          blocked[cell(x, y)] = 1;
+        }
+      }
+    }
+    blocked[cell(goal.x, goal.y)] = 0;
+
+    const DIRS = [[S,0], [0,S], [-S,0], [0,-S]];
+    const estimate = (x, y) => Math.abs(x - goal.x) + Math.abs(y - goal.y);
+    const best = new Float64Array(cols * rows * 4).fill(Infinity); // by cell and heading
+    const nodes = [{x:start.x, y:start.y, dir:-1, g:0, parent:-1}];
+    const open = makeHeap();
+    open.push(estimate(start.x, start.y), 0);
+    while (open.size) {
+      const i = open.pop();
+      const n = nodes[i];
+      if (n.dir !== -1 && n.g > best[cell(n.x, n.y)*4 + n.dir]) continue;
+      if (n.x === goal.x && n.y === goal.y) {
+        const path = [];
+        for (let j = i; j !== -1; j = nodes[j].parent) path.unshift({x:nodes[j].x, y:nodes[j].y});
+        return simplifyPath(orthogonalize([a, ...path, b]));
+      }
+      DIRS.forEach(([dx, dy], dir) => {
+        if (n.dir !== -1 && dir === (n.dir + 2) % 4) return;
+        const x = n.x + dx, y = n.y + dy;
+        if (x < minX || y < minY || x >= minX + cols*S || y >= minY + rows*S) return;
+        const c = cell(x, y);
+        if (blocked[c]) return;
+        const g = n.g + S + (n.dir !== -1 && dir !== n.dir ? BEND_COST : 0);
+        if (best[c*4 + dir] <= g) return;
+        best[c*4 + dir] = g;
+        nodes.push({x, y, dir, g, parent:i});
+        open.push(g + estimate(x, y), nodes.length - 1);
+      });
+    }
+    return simplifyPath(orthogonalize([a, b]));
+  }
+
+  // Points a wire is drawn through, from its `from` end to its `to` end
+  function getWirePoints(components, wire) {
+    const a = getTerminalPos(components, wire.from.compId, wire.from.terminal);
+    const b = getTerminalPos(components, wire.to.compId, wire.to.terminal);
+    if (wire.waypoints) return simplifyPath(orthogonalize([a, ...wire.waypoints, b]));
+    return routeWire(components, a, b);
+  }
+
+  // Slides segment `index` of an orthogonal path sideways so it runs through
+  // pos (snapped to the grid). Returns the new full point list.
+  function moveWireSegment(points, index, pos) {
+    const p = points[index], q = points[index+1];
+    const moved = p.y === q.y
+      ? [{x:p.x, y:snap(pos.y)}, {x:q.x, y:snap(pos.y)}]
+      : [{x:snap(pos.x), y:p.y}, {x:snap(pos.x), y:q.y}];
+    return simplifyPath([...points.slice(0, index+1), ...moved, ...points.slice(index+1)]);
+  }
+
+  function distToSegment(p, a, b) {
+    const dx = b.x - a.x, dy = b.y - a.y;
+    const len2 = dx*dx + dy*dy;
+    const t = len2 ? Math.max(0, Math.min(1, ((p.x - a.x)*dx + (p.y - a.y)*dy) / len2)) : 0;
+    return Math.hypot(p.x - (a.x + t*dx), p.y - (a.y + t*dy));
+  }
+
+  // ============ HIT TESTING ============
+  function hitTerminal(components, x, y) {
+    let closest = null;
+    let closestDist = Infinity;
+
+    for (const comp of components) {
+      // Use bigger hit radius for touch
+      const threshold = COMP_DEFS[comp.type].isNode ? NODE_HIT_RADIUS : TERMINAL_HIT_RADIUS;
+      const terms = getTerminals(comp);
+      for (const [name, tPos] of Object.entries(terms)) {
+        const dx = x - tPos.x, dy = y - tPos.y;
+        const dist = Math.sqrt(dx*dx + dy*dy);
+        if (dist < threshold && dist < closestDist) {
+          closest = {compId:comp.id, terminal:name};
+          closestDist = dist;
+        }
+      }
+    }
+    return closest;
+  }
+
+  function hitComponent(components, x, y) {
+    // Inflate hit area slightly for touch
+    const padding = 8;
+    for (let i = components.length-1; i >= 0; i--) {
+      const r = getCompBox(components[i]);
+      if (x >= r.x - padding && x <= r.x + r.w + padding &&
+          y >= r.y - padding && y <= r.y + r.h + padding) {
+        return components[i].id;
+      }
+    }
+    return null;
+  }
+
+  // Nearest segment of a point list within WIRE_HIT_RADIUS: {index, dist} or null
+  function hitSegment(points, x, y) {
+    let closest = null;
+    for (let i = 1; i < points.length; i++) {
+      const dist = distToSegment({x, y}, points[i-1], points[i]);
+      if (dist <= (closest ? closest.dist : WIRE_HIT_RADIUS)) closest = {index:i - 1, dist};
+    }
+    return closest;
+  }
+
+  // Closest wire within WIRE_HIT_RADIUS of (x, y), or null
+  function hitWire(components, wires, x, y) {
+    let closest = null;
+    let closestDist = WIRE_HIT_RADIUS;
+    for (const w of wires) {
+      const hit = hitSegment(getWirePoints(components, w), x, y);
+      if (hit && hit.dist <= closestDist) {
+        closest = w.id;
+        closestDist = hit.dist;
+      }
+    }
+    return closest;
+  }
+
+  // Index of the wire segment under (x, y), or null
+  function hitWireSegment(components, wire, x, y) {
+    const hit = hitSegment(getWirePoints(components, wire), x, y);
+    return hit ? hit.index : null;
+  }
+
+  // Which end of a wire ('from' | 'to') is within the terminal radius of (x, y)
+  function hitWireEnd(components, wire, x, y) {
+    let closest = null;
+    let closestDist = TERMINAL_HIT_RADIUS;
+    for (const end of ['from', 'to']) {
+      const p = getTerminalPos(components, wire[end].compId, wire[end].terminal);
+      const dist = Math.hypot(x - p.x, y - p.y);
+      if (dist < closestDist) {
+        closest = end;
+        closestDist = dist;
+      }
+    }
+    return closest;
+  }
+
+  // Drops a junction onto `wire` near point `at` and splits the wire in two
+  // through it. Ids are taken from firstId up (node, then the two halves).
+  // Returns {node, halves, terminal}: `terminal` is the junction terminal
+  // left free on the side facing `toward`, for the wire being connected.
+  function splitWire(components, wire, at, firstId, toward) {
+    const pts = getWirePoints(components, wire);
+    const hit = hitSegment(pts, at.x, at.y);
+    const i = hit ? hit.index : 0;
+    const {w, h} = compSize('wire_node');
+    const node = createComponent('wire_node', at.x - w/2, at.y - h/2, firstId);
+    // Each neighbour gets the closest terminal still free
+    const terms = getTerminals(node);
+    const free = Object.keys(terms);
+    const take = p => {
+      free.sort((s, t) => Math.hypot(terms[s].x - p.x, terms[s].y - p.y) - Math.hypot(terms[t].x - p.x, terms[t].y - p.y));
+      return free.shift();
+    };
+    const fromSide = take(pts[i]), toSide = take(pts[i+1]);
+    return {
+      node,
+      halves: [
+        { id:firstId + 1, from:{...wire.from}, to:{compId:node.id, terminal:fromSide} },
+        { id:firstId + 2, from:{compId:node.id, terminal:toSide}, to:{...wire.to} }
+      ],
+      terminal: take(toward)
+    };
+  }
+
+  function isDuplicateWire(wires, from, to) {
+    return wires.some(w =>
+      (w.from.compId===from.compId && w.from.terminal===from.terminal && w.to.compId===to.compId && w.to.terminal===to.terminal) ||
+      (w.to.compId===from.compId && w.to.terminal===from.terminal && w.from.compId===to.compId && w.from.terminal===to.terminal)
+    );
+  }
+
+  // ============ SENSING ============
+  // Conduction rules for parts that react to the rest of the scene (see COMP_DEFS.conducts)
+  function isLitNearby(comp, scene) {
+    if (!scene.solution) return false;
+    const c = compCenter(comp);
+    return scene.components.some(other => {
+      if (!COMP_DEFS[other.type].lightSource || !scene.solution.powered.has(other.id)) return false;
+      const o = compCenter(other);
+      return Math.hypot(o.x - c.x, o.y - c.y) <= LIGHT_RANGE;
+    });
+  }
+
+  function isMagnetNearby(comp, scene) {
+    const c = compCenter(comp);
+    return scene.components.some(other => {
+      if (other.type !== 'magnet') return false;
+      const o = compCenter(other);
+      return Math.hypot(o.x - c.x, o.y - c.y) <= MAGNET_RANGE;
+    });
+  }
+
+  // A gate input is high once its net sits LOGIC_HIGH above the battery − it is
+  // measured from. Unwired inputs float at 0 and read low.
+  function isInputHigh(comp, terminal, scene) {
+    if (!scene.solution) return false;
+    return (scene.solution.voltages.get(termKey(comp.id, terminal)) || 0) >= LOGIC_HIGH;
+  }
+
+  // Ids of the parts whose conduction rule says closed in this scene
+  function getClosedParts(components, solution) {
+    const scene = { components, solution };
+    const closed = new Set();
+    for (const comp of components) {
+      const def = COMP_DEFS[comp.type];
+      if (def.conducts && def.conducts(comp, scene)) closed.add(comp.id);
+    }
+    return closed;
+  }
+
+  // ============ CIRCUIT SOLVER ============
+  const MIN_CURRENT = 1e-4; // amps - anything less counts as "not powered"
+  const SHORT_CURRENT = 1;   // amps - a battery pushing this much round a zero-load loop is shorted
+  const OFF_CONDUCTANCE = 1e-9; // siemens - a blocking LED, so its nets stay tied to the island
+  const MAX_SETTLE_PASSES = 20; // LED on/off guesses (and sensor re-solves) before giving up and keeping the last
+  const LOGIC_HIGH = 1; // volts - a gate input at or above this reads as on
+
+  function termKey(compId, terminal) { return `${compId}:${terminal}`; }
+
+  // Terminal pairs joined by a zero-resistance path inside a component.
+  // `closed` = ids whose conduction rule currently holds (getClosedParts)
+  function getIdealLinks(comp, closed) {
+    const def = COMP_DEFS[comp.type];
+    if (def.isNode) return def.terminals.slice(1).map(t => [def.terminals[0], t]);
+    if (def.throws) return [[def.terminals[0], def.throws[comp.state ? 1 : 0]]];
+    if (def.conducts) return closed.has(comp.id) ? [def.contacts || def.terminals] : [];
+    return [];
+  }
+
+  // Gaussian elimination with partial pivoting. Solves A·x = b in place.
+  function solveLinear(A, b) {
+    const n = b.length;
+    for (let col = 0; col < n; col++) {
+      let pivot = col;
+      for (let r = col + 1; r < n; r++) {
+        if (Math.abs(A[r][col]) > Math.abs(A[pivot][col])) pivot = r;
+      }
+      if (Math.abs(A[pivot][col]) < 1e-12) continue; // floating node, leave at 0
+      [A[col], A[pivot]] = [A[pivot], A[col]];
+      [b[col], b[pivot]] = [b[pivot], b[col]];
+      for (let r = col + 1; r < n; r++) {
+        const f = A[r][col] / A[col][col];
+        if (f === 0) continue;
+        for (let c = col; c < n; c++) A[r][c] -= f * A[col][c];
+        b[r] -= f * b[col];
+      }
+    }
+    const x = new Array(n).fill(0);
+    for (let r = n - 1; r >= 0; r--) {
+      if (Math.abs(A[r][r]) < 1e-12) continue;
+      let sum = b[r];
+      for (let c = r + 1; c < n; c++) sum -= A[r][c] * x[c];
+      x[r] = sum / A[r][r];
+    }
+    return x;
+  }
+
+  // Minimal union-find over string keys
+  function makeUnionFind() {
+    const parent = new Map();
+    const find = k => {
+      if (!parent.has(k)) parent.set(k, k);
+      let root = k;
+      while (parent.get(root) !== root) root = parent.get(root);
+      while (parent.get(k) !== root) { const next = parent.get(k); parent.set(k, root); k = next; }
+      return root;
+    };
+    return { find, union: (a, b) => parent.set(find(a), find(b)) };
+  }
+
+  // Nodal analysis of the whole scene. Wires, closed switches and wire nodes are
+  // ideal conductors and get merged into nets; loads are resistors and each battery
+  // is an EMF with a small internal resistance. An LED is either off (open) or on
+  // (a forward-voltage drop plus its resistance); the solve is repeated, flipping
+  // LEDs that guessed wrong, until every LED agrees with its own current.
+  // Sensors and gates decide from the previous solve, so the whole thing is re-run
+  // until no part changes its mind. Returns:
+  //   voltages:     Map "compId:terminal" -> volts (0 = battery − of that island)
+  //   currents:     Map compId -> amps (loads: left→right, battery: out of +)
+  //   wireCurrents: Map wireId -> amps (from → to)
+  //   powered:      Set of component ids carrying at least MIN_CURRENT
+  //   poweredWires: Set of wire ids carrying at least MIN_CURRENT
+  //   shorts:       {batteries, loads, wires} - see findShorts()
+  //   islandOf:     Map "compId:terminal" -> island (parts joined through anything at all)
+  //   closed:       Set of ids whose conduction rule holds (switches, sensors, gates)
+  //   settled:      false if parts kept flipping each other - the last pass is kept
+  function solveCircuit(components, wires) {
+    let closed = getClosedParts(components, null);
+    let solution = null;
+    for (let pass = 0; pass < MAX_SETTLE_PASSES; pass++) {
+      solution = solveNetwork(components, wires, closed);
+      const next = getClosedParts(components, solution);
+      if (next.size === closed.size && [...next].every(id => closed.has(id))) {
+        return Object.assign(solution, { closed, settled:true });
+      }
+      closed = next;
+    }
+    return Object.assign(solution, { closed, settled:false });
+  }
+
+  // One solve with the switch-like parts fixed open or closed
+  function solveNetwork(components, wires, closed) {
+    const compById = new Map(components.map(c => [c.id, c]));
+    const nets = makeUnionFind();
+    const idealEdges = []; // {a, b, wireId?, compId?}
+    const branches = [];   // {compId, a, b, g, emf}  current a→b = g·(Va − Vb + emf)
+
+    for (const comp of components) {
+      const def = COMP_DEFS[comp.type];
+      for (const t of def.terminals) nets.find(termKey(comp.id, t));
+      for (const [t1, t2] of getIdealLinks(comp, closed)) {
+        idealEdges.push({ a:termKey(comp.id, t1), b:termKey(comp.id, t2), compId:comp.id });
+      }
+      if (comp.type === 'battery') {
+        branches.push({ compId:comp.id, a:termKey(comp.id,'neg'), b:termKey(comp.id,'pos'),
+                        g:1/def.internalResistance, emf:getBatteryVoltage(comp) });
+      } else if (def.forwardVoltage) {
+        branches.push({ compId:comp.id, a:termKey(comp.id, def.terminals[0]), b:termKey(comp.id, def.terminals[1]),
+                        g:OFF_CONDUCTANCE, emf:0, diode:def, on:false });
+      } else if (getResistance(comp)) {
+        branches.push({ compId:comp.id, a:termKey(comp.id, def.terminals[0]), b:termKey(comp.id, def.terminals[1]),
+                        g:1/getResistance(comp), emf:0 });
+      }
+    }
+    for (const w of wires) {
+      if (!compById.has(w.from.compId) || !compById.has(w.to.compId)) continue;
+      idealEdges.push({ a:termKey(w.from.compId, w.from.terminal), b:termKey(w.to.compId, w.to.terminal), wireId:w.id });
+    }
+    for (const e of idealEdges) nets.union(e.a, e.b);
+
+    // Islands: nets linked through branches. Each island is referenced to the
+    // − terminal of its first battery (or any net if it has none).
+    const islands = makeUnionFind();
+    const netIds = new Set();
+    for (const comp of components) {
+      for (const t of COMP_DEFS[comp.type].terminals) netIds.add(nets.find(termKey(comp.id, t)));
+    }
+    for (const n of netIds) islands.find(n);
+    for (const br of branches) islands.union(nets.find(br.a), nets.find(br.b));
+    const refOfIsland = new Map();
+    for (const comp of components) {
+      if (comp.type !== 'battery') continue;
+      const island = islands.find(nets.find(termKey(comp.id,'neg')));
+      if (!refOfIsland.has(island)) refOfIsland.set(island, nets.find(termKey(comp.id,'neg')));
+    }
+
+    const unknowns = new Map(); // net -> matrix index
+    for (const n of netIds) {
+      const island = islands.find(n);
+      if (!refOfIsland.has(island)) refOfIsland.set(island, n);
+      if (refOfIsland.get(island) !== n) unknowns.set(n, unknowns.size);
+    }
+
+    const size = unknowns.size;
+    const diodes = branches.filter(br => br.diode);
+    const voltages = new Map();
+    for (let pass = 0; pass < MAX_SETTLE_PASSES; pass++) {
+      const G = Array.from({length:size}, () => new Array(size).fill(0));
+      const I = new Array(size).fill(0);
+      for (const br of branches) {
+        const ia = unknowns.get(nets.find(br.a)), ib = unknowns.get(nets.find(br.b));
+        if (ia !== undefined) { G[ia][ia] += br.g; I[ia] -= br.g * br.emf; }
+        if (ib !== undefined) { G[ib][ib] += br.g; I[ib] += br.g * br.emf; }
+        if (ia !== undefined && ib !== undefined) { G[ia][ib] -= br.g; G[ib][ia] -= br.g; }
+      }
+      const x = solveLinear(G, I);
+      const netVoltage = n => unknowns.has(n) ? x[unknowns.get(n)] : 0;
+
+      for (const comp of components) {
+        for (const t of COMP_DEFS[comp.type].terminals) {
+          const k = termKey(comp.id, t);
+          voltages.set(k, netVoltage(nets.find(k)));
+        }
+      }
+
+      // An on LED pushing current backwards switches off; an off one with
+      // more than its forward voltage across it switches on
+      let flipped = false;
+      for (const br of diodes) {
+        const drop = voltages.get(br.a) - voltages.get(br.b);
+        const on = br.on ? drop > br.diode.forwardVoltage - 1e-9 : drop > br.diode.forwardVoltage;
+        if (on === br.on) continue;
+        Object.assign(br, on ? { on, g:1/br.diode.resistance, emf:-br.diode.forwardVoltage } : { on, g:OFF_CONDUCTANCE, emf:0 });
+        flipped = true;
+      }
+      if (!flipped) break;
+    }
+
+    // Branch currents, and what each one injects into the terminals it touches
+    const currents = new Map();
+    const injected = new Map();
+    const inject = (k, amps) => injected.set(k, (injected.get(k) || 0) + amps);
+    for (const br of branches) {
+      const amps = br.g * (voltages.get(br.a) - voltages.get(br.b) + br.emf);
+      currents.set(br.compId, amps);
+      inject(br.a, -amps);
+      inject(br.b, amps);
+    }
+
+    // Split each net's current across its ideal edges. Solving the net as a
+    // unit-resistance network shares current evenly between parallel wires.
+    const edgeFlow = new Map();
+    const edgesByNet = new Map();
+    for (const e of idealEdges) {
+      const n = nets.find(e.a);
+      if (!edgesByNet.has(n)) edgesByNet.set(n, []);
+      edgesByNet.get(n).push(e);
+    }
+    for (const edges of edgesByNet.values()) {
+      const idx = new Map();
+      for (const e of edges) for (const k of [e.a, e.b]) if (!idx.has(k)) idx.set(k, idx.size);
+      const m = idx.size - 1; // first terminal is the local reference
+      const L = Array.from({length:m}, () => new Array(m).fill(0));
+      const rhs = new Array(m).fill(0);
+      for (const [k, i] of idx) if (i > 0) rhs[i-1] = injected.get(k) || 0;
+      for (const e of edges) {
+        const i = idx.get(e.a) - 1, j = idx.get(e.b) - 1;
+        if (i >= 0) L[i][i] += 1;
+        if (j >= 0) L[j][j] += 1;
+        if (i >= 0 && j >= 0) { L[i][j] -= 1; L[j][i] -= 1; }
+      }
+      const phi = solveLinear(L, rhs);
+      const pot = k => idx.get(k) > 0 ? phi[idx.get(k) - 1] : 0;
+      for (const e of edges) edgeFlow.set(e, pot(e.a) - pot(e.b));
+    }
+
+    const wireCurrents = new Map();
+    for (const w of wires) wireCurrents.set(w.id, 0);
+    for (const [e, amps] of edgeFlow) {
+      if (e.wireId !== undefined) {
+        wireCurrents.set(e.wireId, amps);
+      } else if (Math.abs(amps) > Math.abs(currents.get(e.compId) || 0)) {
+        currents.set(e.compId, amps);
+      }
+    }
+
+    const shorts = findShorts({ compById, wires, nets, islands, branches, currents, wireCurrents });
+
+    const powered = new Set();
+    for (const comp of components) {
+      if (shorts.batteries.has(comp.id)) continue;
+      if (Math.abs(currents.get(comp.id) || 0) >= MIN_CURRENT) powered.add(comp.id);
+    }
+
+    // Which island each terminal is on - voltages only compare within one
+    const islandOf = new Map();
+    for (const k of voltages.keys()) islandOf.set(k, islands.find(nets.find(k)));
+
+    // Wires count by their own current - one hanging off a lit part stays dark
+    const poweredWires = new Set();
+    for (const [id, amps] of wireCurrents) if (Math.abs(amps) >= MIN_CURRENT) poweredWires.add(id);
+
+    return { voltages, currents, wireCurrents, powered, poweredWires, shorts, islandOf };
+  }
+
+  // Zero-load loops: a battery whose + gets back to its − through nothing but
+  // ideal conductors and other batteries. Parallel batteries of equal voltage form
+  // such a loop too, so a battery only counts as shorted once the loop actually
+  // pulls SHORT_CURRENT out of it. Loads bypassed by an ideal path are reported
+  // separately - the solver already leaves them dark.
+  function findShorts({ compById, wires, nets, islands, branches, currents, wireCurrents }) {
+    const batteries = new Set();
+    const cells = branches.filter(br => compById.get(br.compId).type === 'battery');
+    for (const br of cells) {
+      if (Math.abs(currents.get(br.compId)) < SHORT_CURRENT) continue;
+      const loop = makeUnionFind();
+      for (const other of cells) if (other !== br) loop.union(nets.find(other.a), nets.find(other.b));
+      if (loop.find(nets.find(br.a)) === loop.find(nets.find(br.b))) batteries.add(br.compId);
+    }
+
+    const hotNets = new Set();
+    for (const br of cells) {
+      if (batteries.has(br.compId)) { hotNets.add(nets.find(br.a)); hotNets.add(nets.find(br.b)); }
+    }
+    const batteryIslands = new Set();
+    for (const br of cells) batteryIslands.add(islands.find(nets.find(br.a)));
+
+    const loads = new Set();
+    for (const br of branches) {
+      if (compById.get(br.compId).type === 'battery') continue;
+      const net = nets.find(br.a);
+      if (net === nets.find(br.b) && batteryIslands.has(islands.find(net))) loads.add(br.compId);
+    }
+
+    const hotWires = new Set();
+    for (const w of wires) {
+      if (Math.abs(wireCurrents.get(w.id)) < MIN_CURRENT) continue;
+      if (hotNets.has(nets.find(termKey(w.from.compId, w.from.terminal)))) hotWires.add(w.id);
+    }
+
+    return { batteries, loads, wires:hotWires };
+  }
+
+  // 0..1 - how hard a load is being driven compared to its rating
+  function getLoadLevel(comp, solution) {
+    const def = COMP_DEFS[comp.type];
+    if (!solution.powered.has(comp.id)) return 0;
+    if (def.ratedCurrent) return Math.min(1, Math.abs(solution.currents.get(comp.id)) / def.ratedCurrent);
+    if (!def.ratedVoltage) return 0;
+    const [t1, t2] = def.terminals;
+    const drop = Math.abs(solution.voltages.get(termKey(comp.id, t1)) - solution.voltages.get(termKey(comp.id, t2)));
+    return Math.min(1, drop / def.ratedVoltage);
+  }
+
+  // ============ CIRCUIT VALIDATION ============
+  // Boolean view of the solver for callers that only care on/off
+  function checkPowered(components, wires) {
+    return solveCircuit(components, wires).powered;
+  }
+
+  // Plain reachability walk from one terminal to another. `closed` = the
+  // solution's closed set when the caller already has one (else it solves)
+  function findPath(components, wires, startCompId, startTerminal, targetCompId, targetTerminal, visited,
+                    closed = solveCircuit(components, wires).closed) {
+    // Build adjacency: terminal -> [connected terminals]
+    // Each component internally connects its terminals, unless its conduction rule says open
+
+    const queue = [{compId:startCompId, terminal:startTerminal, depth:0}];
+    const seen = new Set();
+    seen.add(`${startCompId}:${startTerminal}`);
+
+    while (queue.length > 0) {
+      const {compId, terminal, depth} = queue.shift();
+
+      // Follow wires from this terminal
+      for (const w of wires) {
+        let nextCompId, nextTerminal;
+        if (w.from.compId === compId && w.from.terminal === terminal) {
+          nextCompId = w.to.compId; nextTerminal = w.to.terminal;
+        } else if (w.to.compId === compId && w.to.terminal === terminal) {
+          nextCompId = w.from.compId; nextTerminal = w.from.terminal;
+        } else continue;
+
+        const key = `${nextCompId}:${nextTerminal}`;
+        if (seen.has(key)) continue;
+
+        // Check if we reached target
+        if (nextCompId === targetCompId && nextTerminal === targetTerminal && depth > 0) {
+          visited.add(nextCompId);
+          // Trace back: add all visited component IDs
+          for (const k of seen) visited.add(parseInt(k.split(':')[0]));
+          return true;
+        }
+
+        seen.add(key);
+        visited.add(nextCompId);
+
+        // Internal component connections: traverse through component
+        const comp = components.find(c=>c.id===nextCompId);
+        if (!comp) continue;
+
+        // Switches, sensors and gates block while open; batteries always do
+        const def = COMP_DEFS[comp.type];
+        if (def.conducts && !closed.has(comp.id)) continue;
+
+        // Otherwise the terminals are internally connected
+        const otherTerminals = getInternalConnections(comp, nextTerminal);
+        for (const ot of otherTerminals) {
+          const otKey = `${nextCompId}:${ot}`;
+          if (!seen.has(otKey)) {
+            seen.add(otKey);
+            queue.push({compId:nextCompId, terminal:ot, depth:depth+1});
+          }
+        }
+      }
+    }
+    return false;
+  }
+
+  function getInternalConnections(comp, fromTerminal) {
+    const def = COMP_DEFS[comp.type];
+    // Return other terminals this one connects to internally (gate inputs only sense)
+    const group = def.throws ? getIdealLinks(comp)[0] : def.contacts || def.terminals;
+    if (!group.includes(fromTerminal)) return [];
+    return group.filter(t => t !== fromTerminal);
+  }
+
+  // ============ MEASUREMENT ============
+  // What the multimeter reads. Probes are {compId, terminal}.
+  const CONTINUITY_OHMS = 50; // the meter beeps below this, like a real one
+
+  // Volts at the red probe minus the black one; null if they sit on circuits
+  // with nothing between them (a real meter would just wander)
+  function measureVoltage(solution, red, black) {
+    const a = termKey(red.compId, red.terminal), b = termKey(black.compId, black.terminal);
+    if (!solution.islandOf.has(a) || solution.islandOf.get(a) !== solution.islandOf.get(b)) return null;
+    return solution.voltages.get(a) - solution.voltages.get(b);
+  }
+
+  // Amps through a wire (from → to) or a part (left → right, battery: out of +)
+  function measureCurrent(solution, target) {
+    if (target.wireId !== undefined) return solution.wireCurrents.get(target.wireId) || 0;
+    return solution.currents.get(target.compId) || 0;
+  }
+
+  // Ohms between two terminals as the meter's own test current sees them:
+  // batteries and LEDs count as open, switches and sensors as they are now.
+  // Infinity when nothing joins them. Pass the current solution's `closed` to
+  // skip a second solve.
+  function measureResistance(components, wires, a, b, closed = solveCircuit(components, wires).closed) {
+    const compById = new Map(components.map(c => [c.id, c]));
+    const nets = makeUnionFind();
+    for (const w of wires) {
+      if (!compById.has(w.from.compId) || !compById.has(w.to.compId)) continue;
+      nets.union(termKey(w.from.compId, w.from.terminal), termKey(w.to.compId, w.to.terminal));
+    }
+    const loads = [];
+    for (const comp of components) {
+      const def = COMP_DEFS[comp.type];
+      for (const [t1, t2] of getIdealLinks(comp, closed)) nets.union(termKey(comp.id, t1), termKey(comp.id, t2));
+      if (getResistance(comp) && !def.forwardVoltage) {
+        loads.push({ a:termKey(comp.id, def.terminals[0]), b:termKey(comp.id, def.terminals[1]), g:1/getResistance(comp) });
+      }
+    }
+    const start = nets.find(termKey(a.compId, a.terminal)), end = nets.find(termKey(b.compId, b.terminal));
+    if (start === end) return 0;
+    const reach = makeUnionFind();
+    for (const l of loads) reach.union(nets.find(l.a), nets.find(l.b));
+    if (reach.find(start) !== reach.find(end)) return Infinity;
+
+    // Push 1 A in at `start` with `end` held at 0 V: the volts at `start` are the ohms
+    const index = new Map();
+    for (const l of loads) {
+      for (const n of [nets.find(l.a), nets.find(l.b)]) if (n !== end && !index.has(n)) index.set(n, index.size);
+    }
+    const G = Array.from({length:index.size}, () => new Array(index.size).fill(0));
+    const I = new Array(index.size).fill(0);
+    for (const l of loads) {
+      const i = index.get(nets.find(l.a)), j = index.get(nets.find(l.b));
+      if (i !== undefined) G[i][i] += l.g;
+      if (j !== undefined) G[j][j] += l.g;
+      if (i !== undefined && j !== undefined) { G[i][j] -= l.g; G[j][i] -= l.g; }
+    }
+    I[index.get(start)] = 1;
+    return solveLinear(G, I)[index.get(start)];
+  }
+
+  // ============ CLIPBOARD ============
+  // Copying part of a circuit takes the chosen parts and the wires running
+  // between them; a wire with an end outside the selection stays behind.
+
+  // Ids of the parts whose boxes overlap `rect` {x, y, w, h} (w/h may be negative)
+  function partsInRect(components, rect) {
+    const x1 = Math.min(rect.x, rect.x + rect.w), x2 = Math.max(rect.x, rect.x + rect.w);
+    const y1 = Math.min(rect.y, rect.y + rect.h), y2 = Math.max(rect.y, rect.y + rect.h);
+    return components.filter(c => {
+      const b = getCompBox(c);
+      return b.x < x2 && b.x + b.w > x1 && b.y < y2 && b.y + b.h > y1;
+    }).map(c => c.id);
+  }
+
+  // Centre of the nearest spot to `centre` where a new part of `type` has a
+  // clear half-grid all round - tried in widening rings of 3x2 grid steps
+  function findFreeSpot(components, type, centre) {
+    const {w, h} = compSize(type);
+    const x0 = snap(centre.x - w/2), y0 = snap(centre.y - h/2);
+    for (let r = 0; r < 8; r++) {
+      for (let dy = -r; dy <= r; dy++) {
+        for (let dx = -r; dx <= r; dx++) {
+          if (Math.max(Math.abs(dx), Math.abs(dy)) !== r) continue;
+          const x = x0 + dx * GRID * 3, y = y0 + dy * GRID * 2;
+          const clear = { x:x - GRID/2, y:y - GRID/2, w:w + GRID, h:h + GRID };
+          if (!partsInRect(components, clear).length) return { x:x + w/2, y:y + h/2 };
+        }
+      }
+    }
+    return centre;
+  }
+
+  // Detached copy of parts `ids` and their internal wires
+  function copyParts(components, wires, ids) {
+    const chosen = new Set(ids);
+    return {
+      components: components.filter(c => chosen.has(c.id)).map(c => {
+        const copy = {...c};
+        delete copy.pressed;
+        return copy;
+      }),
+      wires: wires.filter(w => chosen.has(w.from.compId) && chosen.has(w.to.compId)).map(w => ({
+        ...w, from:{...w.from}, to:{...w.to},
+        ...(w.waypoints && {waypoints:w.waypoints.map(p => ({...p}))})
+      }))
+    };
+  }
+
+  // New parts and wires from a copy, moved by (dx, dy) and numbered from
+  // nextId up. Returns them with the nextId left after numbering.
+  function pasteParts(clip, nextId, dx, dy) {
+    const newIds = new Map();
+    const components = clip.components.map(c => {
+      newIds.set(c.id, nextId);
+      return { ...c, id:nextId++, x:c.x + dx, y:c.y + dy };
+    });
+    const wires = clip.wires.map(w => ({
+      ...w,
+      id: nextId++,
+      from: {...w.from, compId:newIds.get(w.from.compId)},
+      to: {...w.to, compId:newIds.get(w.to.compId)},
+      ...(w.waypoints && {waypoints:w.waypoints.map(p => ({x:p.x + dx, y:p.y + dy}))})
+    }));
+    return { components, wires, nextId };
+  }
+
+  // ============ HISTORY ============
+  // Undo/redo commands {label, redo(), undo()} over a scene {components, wires}
+  // - the app hands in one whose fields are its live lists. Commands find parts
+  // and wires by id, and whatever they put back is a fresh copy of what they
+  // recorded, so they stay valid across each other and across bulk replaces.
+  function cloneWire(w) {
+    return {...w, from:{...w.from}, to:{...w.to}, ...(w.waypoints && {waypoints:w.waypoints.map(p => ({...p}))})};
+  }
+
+  function cloneCircuitState(state) {
+    return { components: state.components.map(c => ({...c})), wires: state.wires.map(cloneWire) };
+  }
+
+  function addComponentCmd(scene, comp) {
+    const saved = {...comp};
+    return {
+      label: 'place',
+      redo: () => { scene.components.push({...saved}); },
+      undo: () => { scene.components = scene.components.filter(c => c.id !== saved.id); }
+    };
+  }
+
+  // Removes a component and its wires; undo restores them in their old slots
+  function deleteComponentCmd(scene, id) {
+    const compIndex = scene.components.findIndex(c => c.id === id);
+    const saved = {...scene.components[compIndex]};
+    const attached = scene.wires.map((w, i) => ({w:cloneWire(w), i})).filter(({w}) => w.from.compId === id || w.to.compId === id);
+    return {
+      label: 'delete',
+      redo: () => {
+        scene.components = scene.components.filter(c => c.id !== id);
+        scene.wires = scene.wires.filter(w => w.from.compId !== id && w.to.compId !== id);
+      },
+      undo: () => {
+        scene.components.splice(compIndex, 0, {...saved});
+        for (const {w, i} of attached) scene.wires.splice(i, 0, cloneWire(w));
+      }
+    };
+  }
+
+  function moveComponentCmd(scene, id, from, to) {
+    const moveTo = p => () => Object.assign(scene.components.find(c => c.id === id), p);
+    return { label:'move', redo:moveTo(to), undo:moveTo(from) };
+  }
+
+  // A group drag: every part, and the bends of the wires between them, by (dx, dy).
+  // group = {parts:[{id, x, y}], routes:[{id, before}]} as the drag started
+  function moveGroupCmd(scene, group, dx, dy) {
+    return batchCmd('move', [
+      ...group.parts.map(p => moveComponentCmd(scene, p.id, {x:p.x, y:p.y}, {x:p.x + dx, y:p.y + dy})),
+      ...group.routes.map(r => reshapeWireCmd(scene, r.id, r.before, r.before.map(q => ({x:q.x + dx, y:q.y + dy}))))
+    ]);
+  }
+
+  function rotateComponentCmd(scene, id, degrees) {
+    const turn = d => () => { const c = scene.components.find(c => c.id === id); c.rotation = (c.rotation + d + 360) % 360; };
+    return { label:'rotate', redo:turn(degrees), undo:turn(-degrees) };
+  }
+
+  function setValueCmd(scene, id, value) {
+    const before = scene.components.find(c => c.id === id).value;
+    const set = v => () => { scene.components.find(c => c.id === id).value = v; };
+    return { label:'value', redo:set(value), undo:set(before) };
+  }
+
+  function toggleSwitchCmd(scene, id) {
+    const flip = () => { const c = scene.components.find(c => c.id === id); c.state = !c.state; };
+    return { label:'switch', redo:flip, undo:flip };
+  }
+
+  function addWireCmd(scene, wire) {
+    const saved = cloneWire(wire);
+    return {
+      label: 'wire',
+      redo: () => { scene.wires.push(cloneWire(saved)); },
+      undo: () => { scene.wires = scene.wires.filter(w => w.id !== saved.id); }
+    };
+  }
+
+  function deleteWireCmd(scene, id) {
+    const index = scene.wires.findIndex(w => w.id === id);
+    const saved = cloneWire(scene.wires[index]);
+    return {
+      label: 'delete wire',
+      redo: () => { scene.wires = scene.wires.filter(w => w.id !== id); },
+      undo: () => { scene.wires.splice(index, 0, cloneWire(saved)); }
+    };
+  }
+
+  // Move one end ('from' | 'to') of a wire onto another terminal. The old
+  // route no longer fits, so the wire goes back to being auto-routed.
+  function reattachWireCmd(scene, id, end, to) {
+    const wire = scene.wires.find(w => w.id === id);
+    const from = {...wire[end]};
+    const waypoints = wire.waypoints;
+    const attach = (t, route) => () => {
+      const w = scene.wires.find(w => w.id === id);
+      w[end] = {...t};
+      if (route) w.waypoints = route.map(p => ({...p})); else delete w.waypoints;
+    };
+    return { label:'rewire', redo:attach(to), undo:attach(from, waypoints) };
+  }
+
+  function reshapeWireCmd(scene, id, before, after) {
+    const setRoute = route => () => {
+      const w = scene.wires.find(w => w.id === id);
+      if (route) w.waypoints = route.map(p => ({...p})); else delete w.waypoints;
+    };
+    return { label:'reshape wire', redo:setRoute(after), undo:setRoute(before) };
+  }
+
+  // Several commands as one history step
+  function batchCmd(label, cmds) {
+    return {
+      label,
+      redo: () => cmds.forEach(c => c.redo()),
+      undo: () => cmds.slice().reverse().forEach(c => c.undo())
+    };
+  }
+
+  // Several components and all their wires at once
+  function deletePartsCmd(scene, ids) {
+    if (ids.length === 1) return deleteComponentCmd(scene, ids[0]);
+    const gone = new Set(ids);
+    return replaceCircuitCmd(scene, 'delete', {
+      components: scene.components.filter(c => !gone.has(c.id)),
+      wires: scene.wires.filter(w => !gone.has(w.from.compId) && !gone.has(w.to.compId))
+    });
+  }
+
+  // Swap the whole scene for another one (clear and other bulk edits)
+  function replaceCircuitCmd(scene, label, next) {
+    const before = cloneCircuitState(scene);
+    const after = cloneCircuitState(next);
+    const apply = state => () => { Object.assign(scene, cloneCircuitState(state)); };
+    return { label, redo:apply(after), undo:apply(before) };
+  }
+
+  // ============ SHORTCUTS ============
+  // Window-level keys -> what the app should do, or null to leave the key to
+  // the browser. `evt` needs key/ctrlKey/metaKey/shiftKey; `ctx` says:
+  //   onBoard    focus is on the canvas, the toolbar or nothing - anywhere else
+  //              editing and letter keys belong to the focused control
+  //   selected   parts are selected     wireSelected  a wire is
+  //   parts      the canvas has parts   clipboard     there is something to paste
+  function shortcutFor(evt, ctx) {
+    const key = evt.key.toLowerCase(), mod = evt.ctrlKey || evt.metaKey;
+    if (mod && key === 'z') return evt.shiftKey ? 'redo' : 'undo';
+    if (mod && key === 'y') return 'redo';
+    if (evt.key === 'Escape') return 'deselect';
+    if (!ctx.onBoard) return null;
+    if (mod) {
+      if (key === 'c' && ctx.selected) return 'copy';
+      if (key === 'x' && ctx.selected) return 'cut';
+      if (key === 'v' && ctx.clipboard) return 'paste';
+      if (key === 'd' && ctx.selected) return 'duplicate';
+      if (key === 'a' && ctx.parts) return 'selectAll';
+      return null;
+    }
+    if (evt.key === 'Delete' || evt.key === 'Backspace') return ctx.selected || ctx.wireSelected ? 'delete' : null;
+    if (key === 'r') return evt.shiftKey ? 'rotateBack' : 'rotate';
+    if (key === 'm') return 'mute';
+    if (key === 'f') return 'fit';
+    return null;
+  }
+
+  // ============ SAVE / LOAD ============
+  // Circuit documents are plain JSON:
+  //   { format:'circuit-lab', version:1, nextId, components:[{id,type,x,y,rotation?,state?,value?}],
+  //     wires:[{id, from:{compId,terminal}, to:{compId,terminal}, waypoints?:[{x,y}]}] }
+  const CIRCUIT_FORMAT = 'circuit-lab';
+  const CIRCUIT_VERSION = 1;
+
+  function serializeCircuit(components, wires, nextId) {
+    return {
+      format: CIRCUIT_FORMAT,
+      version: CIRCUIT_VERSION,
+      nextId,
+      components: components.map(c => {
+        const out = { id:c.id, type:c.type, x:c.x, y:c.y };
+        if (c.rotation) out.rotation = c.rotation;
+        if (COMP_DEFS[c.type].hasState) out.state = !!c.state;
+        if (COMP_DEFS[c.type].values) out.value = c.value;
+        return out;
+      }),
+      wires: wires.map(w => {
+        const out = {
+          id: w.id,
+          from: { compId:w.from.compId, terminal:w.from.terminal },
+          to: { compId:w.to.compId, terminal:w.to.terminal }
+        };
+        if (w.waypoints) out.waypoints = w.waypoints.map(p => ({ x:p.x, y:p.y }));
+        return out;
+      })
+    };
+  }
+
+  // Validates a circuit document and returns fresh {components, wires, nextId}.
+  // Throws an Error listing every problem found.
+  function deserializeCircuit(doc) {
+    const problems = [];
+    if (!doc || typeof doc !== 'object') throw new Error('Not a circuit file');
+    if (doc.format !== CIRCUIT_FORMAT) problems.push(`format should be "${CIRCUIT_FORMAT}"`);
+    if (!Number.isInteger(doc.version) || doc.version < 1) problems.push('missing version');
+    else if (doc.version > CIRCUIT_VERSION) problems.push(`made by a newer Circuit Lab (version ${doc.version})`);
+    if (!Array.isArray(doc.components)) problems.push('components must be a list');
+    if (!Array.isArray(doc.wires)) problems.push('wires must be a list');
+    if (problems.length) throw new Error('Invalid circuit file:\n- ' + problems.join('\n- '));
+
+    const ids = new Set();
+    const claimId = (id, what) => {
+      if (!Number.isInteger(id) || id < 1) { problems.push(`${what} has a bad id`); return false; }
+      if (ids.has(id)) { problems.push(`${what} reuses id ${id}`); return false; }
+      ids.add(id);
+      return true;
+    };
+
+    const comps = [];
+    const typeOf = new Map();
+    doc.components.forEach((c, i) => {
+      const what = `component #${i+1}`;
+      if (!c || !COMP_DEFS[c.type]) { problems.push(`${what} has unknown type "${c && c.type}"`); return; }
+      if (!claimId(c.id, what)) return;
+      if (!Number.isFinite(c.x) || !Number.isFinite(c.y)) { problems.push(`${what} has no position`); return; }
+      if (c.rotation !== undefined && !ROTATIONS.includes(c.rotation)) { problems.push(`${what} has bad rotation ${c.rotation}`); return; }
+      const def = COMP_DEFS[c.type];
+      if (c.value !== undefined && !(def.values && def.values.includes(c.value))) { problems.push(`${what} has bad value ${c.value}`); return; }
+      const comp = { id:c.id, type:c.type, x:c.x, y:c.y, rotation:c.rotation || 0,
+                     state: def.hasState ? !!c.state : undefined,
+                     value: def.values ? (c.value !== undefined ? c.value : def.defaultValue) : undefined };
+      comps.push(comp);
+      typeOf.set(comp.id, comp.type);
+    });
+
+    const ws = [];
+    doc.wires.forEach((w, i) => {
+      const what = `wire #${i+1}`;
+      if (!w || !claimId(w.id, what)) return;
+      for (const end of ['from','to']) {
+        const ref = w[end];
+        if (!ref || !typeOf.has(ref.compId)) { problems.push(`${what} ${end} points at a missing component`); return; }
+        if (!COMP_DEFS[typeOf.get(ref.compId)].terminals.includes(ref.terminal)) {
+          problems.push(`${what} ${end} uses unknown terminal "${ref.terminal}"`); return;
+        }
+      }
+      if (w.waypoints !== undefined && !(Array.isArray(w.waypoints) &&
+          w.waypoints.every(p => p && Number.isFinite(p.x) && Number.isFinite(p.y)))) {
+        problems.push(`${what} has bad waypoints`); return;
+      }
+      const wire = {
+        id: w.id,
+        from: { compId:w.from.compId, terminal:w.from.terminal },
+        to: { compId:w.to.compId, terminal:w.to.terminal }
+      };
+      if (w.waypoints) wire.waypoints = w.waypoints.map(p => ({ x:p.x, y:p.y }));
+      ws.push(wire);
+    });
+
+    if (problems.length) throw new Error('Invalid circuit file:\n- ' + problems.join('\n- '));
+    const maxId = Math.max(0, ...ids);
+    const savedNext = Number.isInteger(doc.nextId) ? doc.nextId : 0;
+    return { components:comps, wires:ws, nextId: Math.max(savedNext, maxId + 1) };
+  }
+
+  // ============ SHARE LINKS ============
+  // A circuit packs into a short text that lives in location.hash, so a link
+  // carries the whole build with no server:
+  //   #c=1:<components>:<wires>      plain
+  //   #z=<base64url deflate of the plain text>   when that comes out shorter
+  // components: "b1,2;s5,2,s1" = type code + x,y in grid units + tagged extras
+  //             (s1 = switch on, r1..r3 = quarter turns, v<n> = picked value if not the default)
+  // wires:      "0.0.1.0"      = from index.terminal index . to index.terminal index
+  //             ",w2_3_8_3"    = optional waypoints, x_y pairs in ROUTE_STEP units
+  const SHARE_VERSION = 1;
+  const TYPE_CODES = { battery:'b', bulb:'l', switch:'s', button:'p', two_way:'c', motor:'m', buzzer:'z', led:'d', resistor:'r',
+                       light_sensor:'h', reed_switch:'e', magnet:'g', and_gate:'a', or_gate:'o', wire_node:'n' };
+  const CODE_TYPES = Object.fromEntries(Object.entries(TYPE_CODES).map(([t, c]) => [c, t]));
+
+  function packCircuit(components, wires) {
+    const index = new Map(components.map((c, i) => [c.id, i]));
+    const comps = components.map(c => {
+      const fields = [TYPE_CODES[c.type] + c.x / GRID, c.y / GRID];
+      if (COMP_DEFS[c.type].hasState && c.state) fields.push('s1');
+      if (c.rotation) fields.push('r' + c.rotation / 90);
+      if (COMP_DEFS[c.type].values && c.value !== COMP_DEFS[c.type].defaultValue) fields.push('v' + c.value);
+      return fields.join(',');
+    });
+    const ws = wires
+      .filter(w => index.has(w.from.compId) && index.has(w.to.compId))
+      .map(w => {
+        const from = components[index.get(w.from.compId)], to = components[index.get(w.to.compId)];
+        const ends = [index.get(w.from.compId), COMP_DEFS[from.type].terminals.indexOf(w.from.terminal),
+                      index.get(w.to.compId), COMP_DEFS[to.type].terminals.indexOf(w.to.terminal)].join('.');
+        if (!w.waypoints) return ends;
+        return ends + ',w' + w.waypoints.map(p => `${Math.round(p.x / ROUTE_STEP)}_${Math.round(p.y / ROUTE_STEP)}`).join('_');
+      });
+    return `${SHARE_VERSION}:${comps.join(';')}:${ws.join(';')}`;
+  }
+
+  // Turns packed text back into a circuit document (ids renumbered from 1).
+  // Run the result through deserializeCircuit() before trusting it.
+  function unpackCircuit(text) {
+    const [version, compPart = '', wirePart = ''] = text.split(':');
+    if (Number(version) !== SHARE_VERSION) throw new Error('This link was made by a different Circuit Lab version');
+    const comps = compPart ? compPart.split(';').map((entry, i) => {
+      const [head, y, ...extras] = entry.split(',');
+      const comp = { id:i + 1, type:CODE_TYPES[head[0]], x:Number(head.slice(1)) * GRID, y:Number(y) * GRID };
+      for (const extra of extras) {
+        if (extra[0] === 's') comp.state = extra.slice(1) === '1';
+        if (extra[0] === 'r') comp.rotation = Number(extra.slice(1)) * 90;
+        if (extra[0] === 'v') comp.value = Number(extra.slice(1));
+      }
+      return comp;
+    }) : [];
+    const ws = wirePart ? wirePart.split(';').map((entry, i) => {
+      const [head, ...extras] = entry.split(',');
+      const [fi, ft, ti, tt] = head.split('.').map(Number);
+      const end = (ci, t) => ({ compId:ci + 1, terminal: comps[ci] && COMP_DEFS[comps[ci].type]
+        ? COMP_DEFS[comps[ci].type].terminals[t] : undefined });
+      const wire = { id:comps.length + i + 1, from:end(fi, ft), to:end(ti, tt) };
+      for (const extra of extras) {
+        if (extra[0] !== 'w') continue;
+        const nums = extra.length > 1 ? extra.slice(1).split('_').map(n => Number(n) * ROUTE_STEP) : [];
+        wire.waypoints = [];
+        for (let j = 0; j < nums.length; j += 2) wire.waypoints.push({ x:nums[j], y:nums[j+1] });
+      }
+      return wire;
+    }) : [];
+    return { format:CIRCUIT_FORMAT, version:CIRCUIT_VERSION, nextId:comps.length + ws.length + 1, components:comps, wires:ws };
+  }
+
+  // ============ PROJECTS ============
+  // Free Build projects kept in a Storage (localStorage, or anything with
+  // getItem/setItem/removeItem). The index {currentId, projects:[{id, name,
+  // updated}]} is the list; each project's circuit document and thumbnail sit
+  // under keys of their own, so a big drawing or one broken entry can't take
+  // the list with it. Changes to the list stay in memory until saveIndex().
+  const PROJECTS_KEY = 'circuit-lab-projects';
+  const PROJECT_KEY_PREFIX = 'circuit-lab-project:';
+  const THUMB_KEY_PREFIX = 'circuit-lab-thumb:';
+  const THUMB_MAX_CHARS = 50000; // bigger thumbnails aren't kept - the card shows a blank
+
+  function makeProjectStore(storage, now = Date.now) {
+    let index = { currentId:null, projects:[] };
+    const find = id => index.projects.find(p => p.id === id);
+    const newId = () => 'p' + now().toString(36) + Math.random().toString(36).slice(2, 6);
+
+    function create(name) {
+      const project = { id:newId(), name, updated:now() };
+      index.projects.unshift(project);
+      index.currentId = project.id;
+      return project;
+    }
+
+    // Thumbnails are a nicety: too big, or no room left, and the project goes without
+    function setThumb(id, thumb) {
+      if (thumb && thumb.length <= THUMB_MAX_CHARS) {
+        try {
+          storage.setItem(THUMB_KEY_PREFIX + id, thumb);
+          return true;
+        } catch (e) { /* full */ }
+      }
+      storage.removeItem(THUMB_KEY_PREFIX + id);
+      return false;
+    }
+
+    return {
+      get index() { return index; },
+      find,
+      current: () => find(index.currentId),
+
+      // Reads the saved list (moving thumbnails out of older indexes into their
+      // own keys) and makes sure some project is current
+      load() {
+        try {
+          const saved = JSON.parse(storage.getItem(PROJECTS_KEY) || 'null');
+          if (saved && Array.isArray(saved.projects)) index = saved;
+        } catch (e) { /* start fresh */ }
+        for (const project of index.projects) {
+          if (!('thumb' in project)) continue;
+          setThumb(project.id, project.thumb);
+          delete project.thumb;
+        }
+        if (!find(index.currentId)) {
+          if (index.projects.length) index.currentId = index.projects[0].id;
+          else create('My Circuit');
+        }
+        return index;
+      },
+
+      // False when storage is full - the last saved list is left as it was
+      saveIndex() {
+        try {
+          storage.setItem(PROJECTS_KEY, JSON.stringify(index));
+          return true;
+        } catch (e) {
+          return false;
+        }
+      },
+
+      // Adds an empty project and makes it current
+      create,
+
+      select(id) { index.currentId = id; },
+
+      // False for a blank name
+      rename(id, name) {
+        const project = find(id);
+        const trimmed = String(name).trim();
+        if (!project || !trimmed) return false;
+        project.name = trimmed;
+        return true;
+      },
+
+      // The saved circuit document, or null if there is none yet. Throws on a broken entry
+      readCircuit: id => JSON.parse(storage.getItem(PROJECT_KEY_PREFIX + id) || 'null'),
+
+      // Throws when storage is full
+      writeCircuit(id, doc) {
+        storage.setItem(PROJECT_KEY_PREFIX + id, JSON.stringify(doc));
+        find(id).updated = now();
+      },
+
+      thumb: id => storage.getItem(THUMB_KEY_PREFIX + id),
+      setThumb,
+
+      // A copy next to the original (not made current). Throws when storage is full
+      duplicate(id) {
+        const source = find(id);
+        const copy = { ...source, id:newId(), name:`${source.name} (copy)`, updated:now() };
+        storage.setItem(PROJECT_KEY_PREFIX + copy.id, storage.getItem(PROJECT_KEY_PREFIX + id) || 'null');
+        setThumb(copy.id, storage.getItem(THUMB_KEY_PREFIX + id));
+        index.projects.unshift(copy);
+        return copy;
+      },
+
+      // Deleting the current project makes the newest one current - or a fresh
+      // 'My Circuit' when none are left
+      remove(id) {
+        storage.removeItem(PROJECT_KEY_PREFIX + id);
+        storage.removeItem(THUMB_KEY_PREFIX + id);
+        index.projects = index.projects.filter(p => p.id !== id);
+        if (id !== index.currentId) return;
+        if (index.projects.length) index.currentId = index.projects[0].id;
+        else create('My Circuit');
+      }
+    };
+  }
+
+  // ============ SCHEMATIC & NETLIST ============
+  // Printable versions of the canvas for worksheets: a black-on-white diagram
+  // with the standard symbols, laid out where the parts sit, and a SPICE-style
+  // netlist. Both name parts the same way (V1, RL2, S3...).
+  const NETLIST_PREFIX = { battery:'V', bulb:'RL', motor:'RM', buzzer:'RZ', resistor:'R', led:'D', switch:'S', button:'SB',
+                           two_way:'SW', light_sensor:'SL', reed_switch:'SR', and_gate:'SA', or_gate:'SO' };
+
+  // "V1", "RL2" - null for parts that are not circuit elements (magnet, junction)
+  function netlistName(comp) {
+    const prefix = NETLIST_PREFIX[comp.type];
+    return prefix ? prefix + comp.id : null;
+  }
+
+  // Map "compId:terminal" -> node number. Terminals that wires join, through
+  // junctions too, share a node - the same links findPath() walks. Node 0 is
+  // the − side of the first battery; the rest count up in part order.
+  function findNets(components, wires) {
+    const nets = makeUnionFind();
+    for (const w of wires) nets.union(termKey(w.from.compId, w.from.terminal), termKey(w.to.compId, w.to.terminal));
+    for (const comp of components) {
+      if (!COMP_DEFS[comp.type].isNode) continue;
+      for (const [a, b] of getIdealLinks(comp)) nets.union(termKey(comp.id, a), termKey(comp.id, b));
+    }
+    const numbers = new Map(); // net root -> node number
+    const battery = components.find(c => c.type === 'battery');
+    if (battery) numbers.set(nets.find(termKey(battery.id, 'neg')), 0);
+    let next = battery ? 1 : 0;
+    const nodes = new Map();
+    for (const comp of components) {
+      for (const t of COMP_DEFS[comp.type].terminals) {
+        const root = nets.find(termKey(comp.id, t));
+        if (!numbers.has(root)) numbers.set(root, next++);
+        nodes.set(termKey(comp.id, t), numbers.get(root));
+      }
+    }
+    return nodes;
+  }
+
+  // "220Ω", "1kΩ"
+  function formatOhms(ohms) {
+    return ohms >= 1000 ? `${ohms / 1000}kΩ` : `${ohms}Ω`;
+  }
+
+  // SPICE-style listing: a title line, one element per part, then .end.
+  // Switches, sensors and gates are written ON or OFF as they are right now;
+  // a two-way switch is two contacts from its common terminal. `closed` as for
+  // makeSchematic().
+  function makeNetlist(components, wires, title, closed = solveCircuit(components, wires).closed) {
+    const nodes = findNets(components, wires);
+    const node = (comp, t) => nodes.get(termKey(comp.id, t));
+    const battery = components.find(c => c.type === 'battery');
+    const lines = [
+      String(title || 'Circuit Lab circuit').replace(/\s+/g, ' ').trim(),
+      battery ? `* Node 0 is the negative side of ${netlistName(battery)}` : '* No battery - nodes are numbered in part order'
+    ];
+    for (const comp of components) {
+      const def = COMP_DEFS[comp.type], name = netlistName(comp);
+      if (!name) continue;
+      const [first, second] = def.terminals;
+      const note = `${def.label} ${comp.id}`;
+      if (comp.type === 'battery') {
+        lines.push(`${name} ${node(comp, 'pos')} ${node(comp, 'neg')} DC ${getBatteryVoltage(comp)} ; ${note}`);
+      } else if (comp.type === 'led') {
+        lines.push(`${name} ${node(comp, 'anode')} ${node(comp, 'cathode')} LED ; ${note}`);
+      } else if (def.throws) {
+        def.throws.forEach((t, i) => {
+          const on = !!comp.state === (i === 1);
+          lines.push(`${name}${t.toUpperCase()} ${node(comp, first)} ${node(comp, t)} ${on ? 'ON' : 'OFF'} ; ${note}, common to ${t.toUpperCase()}`);
+        });
+      } else if (def.inputs) {
+        const [a, b] = def.inputs.map(t => node(comp, t));
+        const [from, to] = def.contacts.map(t => node(comp, t));
+        lines.push(`${name} ${from} ${to} ${closed.has(comp.id) ? 'ON' : 'OFF'} ; ${note} gate, inputs on nodes ${a} and ${b}`);
+      } else if (def.conducts) {
+        lines.push(`${name} ${node(comp, first)} ${node(comp, second)} ${closed.has(comp.id) ? 'ON' : 'OFF'} ; ${note}`);
+      } else {
+        lines.push(`${name} ${node(comp, first)} ${node(comp, second)} ${getResistance(comp)} ; ${note}`);
+      }
+    }
+    if (components.some(c => c.type === 'led')) {
+      lines.push(`.model LED D ; lights from ${COMP_DEFS.led.forwardVoltage}V`);
+    }
+    lines.push('.end');
+    return lines.join('\n') + '\n';
+  }
+
+  const SCHEMATIC_PAD = GRID / 2;
+
+  const svgLine = (x1, y1, x2, y2) => `<line x1="${x1}" y1="${y1}" x2="${x2}" y2="${y2}"/>`;
+  // An open contact - white inside so the blade doesn't show through
+  const svgContact = (x, y) => `<circle cx="${x}" cy="${y}" r="3" fill="#fff"/>`;
+  const svgArrow = (x1, y1, x2, y2) => {
+    const a = Math.atan2(y2 - y1, x2 - x1), head = (da) =>
+      `${(x2 - 5 * Math.cos(a + da)).toFixed(1)},${(y2 - 5 * Math.sin(a + da)).toFixed(1)}`;
+    return svgLine(x1, y1, x2, y2) + `<polyline points="${head(0.5)} ${x2},${y2} ${head(-0.5)}"/>`;
+  };
+  // Letters inside a symbol stay upright however the part is turned
+  const svgLetter = (x, y, text, rotation) =>
+    `<text x="${x}" y="${y + 5}" transform="rotate(${-rotation} ${x} ${y})" font-size="14" text-anchor="middle" ` +
+    `fill="#000" stroke="none">${text}</text>`;
+
+  // Standard symbols, drawn in a part's own unrotated box with leads out to its
+  // terminals. Two-terminal parts are 120 x 60 and run along y = 30.
+  const SCHEMATIC_SYMBOLS = {
+    battery: comp => {
+      // One cell per short/long plate pair, long plate on the + side (right)
+      const cells = comp.value || 1, span = (cells - 1) * 18 + 8, start = 60 - span / 2;
+      let out = svgLine(0, 30, start, 30) + svgLine(start + span, 30, 120, 30);
+      for (let i = 0; i < cells; i++) {
+        const x = start + i * 18;
+        out += `<line x1="${x}" y1="22" x2="${x}" y2="38" stroke-width="5"/>` + svgLine(x + 8, 12, x + 8, 48);
+        if (i < cells - 1) out += svgLine(x + 8, 30, x + 18, 30);
+      }
+      return out + svgLetter(start + span + 10, 14, '+', comp.rotation || 0);
+    },
+    bulb: () => svgLine(0, 30, 45, 30) + svgLine(75, 30, 120, 30) + '<circle cx="60" cy="30" r="15"/>' +
+      svgLine(49.4, 19.4, 70.6, 40.6) + svgLine(49.4, 40.6, 70.6, 19.4),
+    switch: comp => svgLine(0, 30, 40, 30) + svgLine(80, 30, 120, 30) +
+      (comp.state ? svgLine(40, 30, 80, 30) : svgLine(40, 30, 76, 12)) + svgContact(40, 30) + svgContact(80, 30),
+    button: comp => {
+      // Push to make: a bar held off the contacts, pressed down onto them
+      const y = comp.pressed ? 27 : 18;
+      return svgLine(0, 30, 40, 30) + svgLine(80, 30, 120, 30) + svgLine(36, y, 84, y) +
+        svgLine(60, y, 60, y - 10) + svgLine(54, y - 10, 66, y - 10) + svgContact(40, 30) + svgContact(80, 30);
+    },
+    two_way: comp => svgLine(0, 60, 40, 60) + svgLine(80, 30, 120, 30) + svgLine(80, 90, 120, 90) +
+      svgLine(40, 60, 77, comp.state ? 87 : 33) + svgContact(40, 60) + svgContact(80, 30) + svgContact(80, 90),
+    motor: comp => svgLine(0, 30, 45, 30) + svgLine(75, 30, 120, 30) + '<circle cx="60" cy="30" r="15"/>' +
+      svgLetter(60, 30, 'M', comp.rotation || 0),
+    buzzer: () => svgLine(0, 30, 44, 30) + svgLine(76, 30, 120, 30) + '<path d="M44 30 A16 16 0 0 1 76 30 Z"/>',
+    led: () => svgLine(0, 30, 50, 30) + svgLine(70, 30, 120, 30) + '<path d="M50 18 L50 42 L70 30 Z"/>' +
+      svgLine(70, 18, 70, 42) + svgArrow(62, 14, 70, 6) + svgArrow(70, 18, 78, 10),
+    resistor: () => svgLine(0, 30, 40, 30) + svgLine(80, 30, 120, 30) + '<rect x="40" y="22" width="40" height="16"/>',
+    light_sensor: () => svgLine(0, 30, 44, 30) + svgLine(76, 30, 120, 30) + '<rect x="44" y="24" width="32" height="12"/>' +
+      '<circle cx="60" cy="30" r="22"/>' + svgArrow(22, 2, 38, 14) + svgArrow(30, -6, 46, 6),
+    reed_switch: comp => svgLine(0, 30, 44, 30) + svgLine(76, 30, 120, 30) + '<rect x="32" y="16" width="56" height="28" rx="14"/>' +
+      (comp.closed ? svgLine(44, 30, 76, 30) : svgLine(44, 30, 74, 22)),
+    magnet: comp => '<rect x="10" y="20" width="40" height="20"/>' + svgLine(30, 20, 30, 40) +
+      svgLetter(20, 30, 'N', comp.rotation || 0) + svgLetter(40, 30, 'S', comp.rotation || 0),
+    and_gate: comp => gateSymbol(comp, '&amp;'),
+    or_gate: comp => gateSymbol(comp, '≥1')
+  };
+
+  // IEC gate box: inputs in on the left, the contacts it switches on the right
+  function gateSymbol(comp, mark) {
+    return '<rect x="30" y="10" width="60" height="100"/>' + svgLine(0, 30, 30, 30) + svgLine(0, 90, 30, 90) +
+      svgLine(90, 30, 120, 30) + svgLine(90, 90, 120, 90) + svgLetter(60, 60, mark, comp.rotation || 0);
+  }
+
+  // The circuit as a standalone SVG document, cropped to the parts and wires.
+  // Junctions where three or more wires meet get a dot. null on an empty canvas.
+  // `closed` = the solution's closed set, so switches are drawn as they are set.
+  function makeSchematic(components, wires, closed = solveCircuit(components, wires).closed) {
+    const bounds = getCircuitBounds(components, wires);
+    if (!bounds) return null;
+    const ids = new Set(components.map(c => c.id));
+    const drawn = wires.filter(w => ids.has(w.from.compId) && ids.has(w.to.compId));
+    const paths = drawn.map(w => getWirePoints(components, w));
+    let [x1, y1, x2, y2] = [bounds.x, bounds.y, bounds.x + bounds.w, bounds.y + bounds.h];
+    for (const p of paths.flat()) {
+      x1 = Math.min(x1, p.x); y1 = Math.min(y1, p.y); x2 = Math.max(x2, p.x); y2 = Math.max(y2, p.y);
+    }
+    x1 -= SCHEMATIC_PAD; y1 -= SCHEMATIC_PAD; x2 += SCHEMATIC_PAD; y2 += SCHEMATIC_PAD;
+
+    const ends = new Map(); // "compId:terminal" -> wires ending there
+    for (const w of drawn) {
+      for (const end of [w.from, w.to]) {
+        const key = termKey(end.compId, end.terminal);
+        ends.set(key, (ends.get(key) || 0) + 1);
+      }
+    }
+
+    const wireOut = paths.map(points => `<polyline points="${points.map(p => `${p.x},${p.y}`).join(' ')}"/>`);
+    const partOut = [], dots = [], labels = [];
+    for (const comp of components) {
+      const def = COMP_DEFS[comp.type], terms = getTerminals(comp);
+      if (def.isNode) {
+        // A junction is just where its wires meet: leads in to the middle
+        const {x, y} = compCenter(comp);
+        const wired = def.terminals.filter(t => ends.has(termKey(comp.id, t)));
+        for (const t of wired) partOut.push(svgLine(terms[t].x, terms[t].y, x, y));
+        if (wired.length >= 3) dots.push({x, y});
+        continue;
+      }
+      for (const t of def.terminals) {
+        if (ends.get(termKey(comp.id, t)) >= 2) dots.push(terms[t]);
+      }
+      const {w, h} = compSize(comp.type), rotation = comp.rotation || 0;
+      const symbol = SCHEMATIC_SYMBOLS[comp.type](Object.assign({}, comp, { closed:closed.has(comp.id) }));
+      partOut.push(`<g transform="translate(${comp.x},${comp.y}) rotate(${rotation} ${w/2} ${h/2})">${symbol}</g>`);
+
+      const name = netlistName(comp);
+      if (!name) continue;
+      const value = comp.type === 'battery' ? `${getBatteryVoltage(comp)}V`
+        : comp.type === 'resistor' ? formatOhms(comp.value) : '';
+      const text = value ? `${name} ${value}` : name;
+      const box = getCompBox(comp), mid = compCenter(comp);
+      // Above a part lying flat, beside one standing up
+      labels.push(rotation === 90 || rotation === 270
+        ? `<text x="${mid.x + 26}" y="${mid.y + 4}">${text}</text>`
+        : `<text x="${mid.x}" y="${box.y - 4}" text-anchor="middle">${text}</text>`);
+    }
+
+    const width = x2 - x1, height = y2 - y1;
+    return [
+      `<svg xmlns="http://www.w3.org/2000/svg" viewBox="${x1} ${y1} ${width} ${height}" width="${width}" height="${height}">`,
+      `<rect x="${x1}" y="${y1}" width="${width}" height="${height}" fill="#fff"/>`,
+      '<g fill="none" stroke="#000" stroke-width="2" stroke-linecap="round" stroke-linejoin="round" font-family="Helvetica, Arial, sans-serif">',
+      ...wireOut,
+      ...partOut,
+      ...dots.map(p => `<circle cx="${p.x}" cy="${p.y}" r="4" fill="#000"/>`),
+      '</g>',
+      '<g font-family="Helvetica, Arial, sans-serif" font-size="12" fill="#000">',
+      ...labels,
+      '</g>',
+      '</svg>'
+    ].join('\n');
+  }
+
+  // ============ CHALLENGES ============
+  // Challenges are plain JSON, so teachers can write their own:
+  //   { id, title, desc,
+  //     palette?:       part types on offer (default: all of them),
+  //     maxComponents?: most parts allowed on the canvas (junctions don't count),
+  //     starter?:       circuit document already on the canvas when play starts,
+  //     par?:           {parts?, wires?, seconds?} - a tidy solution, for stars,
+  //     goals:          [{goal, ...}] - all must hold, see CHALLENGE_GOALS }
+  // parseChallenge() checks one; evaluateChallenge() says whether a circuit
+  // solves it and scoreChallenge() how many stars a solution earns.
+
+  // "bulb", "LED" - labels in a sentence
+  function partName(type) {
+    const label = COMP_DEFS[type].label;
+    return label === label.toUpperCase() ? label : label.toLowerCase();
+  }
+
+  // "a bulb", "an LED", "2 bulbs", "2 switches"
+  function countedParts(type, count = 1) {
+    const name = partName(type);
+    if (count > 1) return `${count} ${name}${/(s|x|ch|sh)$/.test(name) ? 'es' : 's'}`;
+    return (/^[aeiou]/i.test(name) || name === 'LED' ? 'an ' : 'a ') + name;
+  }
+
+  // "A", "A and B", "A, B and C"
+  function listText(items) {
+    return items.length > 1 ? items.slice(0, -1).join(', ') + ' and ' + items[items.length-1] : items.join('');
+  }
+
+  // Stateful goals try every position of the switches on the canvas.
+  // Switches go by letter (A, B, ...) in the order they were placed, so a
+  // failed case can say which one was which.
+  const MAX_CASE_SWITCHES = 6; // 2^6 = 64 solves is as far as a check goes
+
+  function switchLetters(components) {
+    return new Map(components.filter(c => COMP_DEFS[c.type].hasState)
+      .map((c, i) => [c.id, String.fromCharCode(65 + i)]));
+  }
+
+  // Whether any `part` is powered with the switches set to `states` (id -> on)
+  function isPoweredWith(components, wires, part, states) {
+    const flipped = components.map(c => states.has(c.id) ? { ...c, state:states.get(c.id) } : c);
+    const powered = solveCircuit(flipped, wires).powered;
+    return flipped.some(c => c.type === part && powered.has(c.id));
+  }
+
+  // Every way the switches can be set, all OFF first:
+  //   [{states: Map id -> on, on: whether the part is powered}]
+  function switchCases(components, wires, part, switches) {
+    const cases = [];
+    for (let mask = 0; mask < 1 << switches.length; mask++) {
+      const states = new Map(switches.map((sw, i) => [sw.id, !!(mask >> i & 1)]));
+      cases.push({ states, on:isPoweredWith(components, wires, part, states) });
+    }
+    return cases;
+  }
+
+  // "switch A ON and switch B OFF"
+  function caseText(states, letters) {
+    return listText([...states].map(([id, on]) => `switch ${letters.get(id)} ${on ? 'ON' : 'OFF'}`));
+  }
+
+  // What the part should do for the switch positions in a case
+  const SWITCH_RULES = {
+    all: on => on.every(Boolean),
+    any: on => on.some(Boolean),
+    toggle: on => on.filter(Boolean).length % 2 === 1
+  };
+
+  // Every goal kind: the fields it takes (choices = the values a field allows),
+  // how it reads to a player, and its test. check() gets {components, wires,
+  // solution} and returns true/false, or {ok, detail} to say which case failed.
+  const CHALLENGE_GOALS = {
+    // {part, count = 1} - at least `count` of that part powered
+    powered: {
+      fields: ['part', 'count'],
+      describe: g => `Power ${countedParts(g.part, g.count)}`,
+      check: (g, { components, solution }) =>
+        components.filter(c => c.type === g.part && solution.powered.has(c.id)).length >= (g.count || 1)
+    },
+    // {part, count = 1} - at least `count` of that part on the canvas
+    placed: {
+      fields: ['part', 'count'],
+      describe: g => `Use ${countedParts(g.part, g.count)}`,
+      check: (g, { components }) => components.filter(c => c.type === g.part).length >= (g.count || 1)
+    },
+    // No battery shorted out
+    noShort: {
+      fields: [],
+      describe: () => 'No short circuits',
+      check: (g, { solution }) => solution.shorts.batteries.size === 0
+    },
+    // {part, switch?} - the part runs with the switch ON and stops with it OFF,
+    // the other switches left as they are. `switch` is the id of a starter
+    // switch; without it any switch will do.
+    onlyWhen: {
+      fields: ['part', 'switch'],
+      describe: g => `The ${partName(g.part)} works only when the switch is ON`,
+      check: (g, { components, wires }) => {
+        const candidates = components.filter(c => COMP_DEFS[c.type].hasState && (g.switch === undefined || c.id === g.switch));
+        if (!candidates.length) return { ok:false, detail:g.switch === undefined ? 'There is no switch yet' : 'The starter switch is missing' };
+        const letters = switchLetters(components);
+        let detail = null;
+        for (const sw of candidates) {
+          const wrong = [true, false].find(on => isPoweredWith(components, wires, g.part, new Map([[sw.id, on]])) !== on);
+          if (wrong === undefined) return true;
+          detail = detail || `With ${caseText(new Map([[sw.id, wrong]]), letters)} the ${partName(g.part)} should be ${wrong ? 'on' : 'off'}`;
+        }
+        return { ok:false, detail };
+      }
+    },
+    // {part, rule, count = 1} - tried with every switch on the canvas in every
+    // position: 'all' = on only when every switch is ON, 'any' = on when any one
+    // is, 'toggle' = flipping any one switch flips the part (staircase lighting,
+    // either way up). `count` is the fewest switches that will do.
+    switches: {
+      fields: ['part', 'rule', 'count'],
+      choices: { rule:Object.keys(SWITCH_RULES) },
+      describe: g => {
+        const name = partName(g.part);
+        const text = { all:`The ${name} is on only when every switch is ON`,
+                       any:`Any switch turns the ${name} on`,
+                       toggle:`Every switch flips the ${name} on and off` }[g.rule];
+        return (g.count || 1) > 1 ? `${text} (use ${g.count})` : text;
+      },
+      check: (g, { components, wires }) => {
+        const switches = components.filter(c => COMP_DEFS[c.type].hasState);
+        if (switches.length < (g.count || 1)) return { ok:false, detail:`Use ${countedParts('switch', g.count || 1)}` };
+        if (switches.length > MAX_CASE_SWITCHES) return { ok:false, detail:`Too many switches to try - ${MAX_CASE_SWITCHES} at most` };
+        const cases = switchCases(components, wires, g.part, switches);
+        // A staircase light may start either way: all OFF sets which way is "on"
+        const flip = g.rule === 'toggle' && cases[0].on;
+        const wrong = cases.find(c => c.on !== (SWITCH_RULES[g.rule]([...c.states.values()]) !== flip));
+        if (!wrong) return true;
+        return { ok:false, detail:`With ${caseText(wrong.states, switchLetters(components))} the ${partName(g.part)} should be ${wrong.on ? 'off' : 'on'}` };
+      }
+    }
+  };
+
+  // Checks a challenge written by hand (or loaded from a file) and returns a clean
+  // copy. Throws an Error listing everything wrong with it.
+  function parseChallenge(doc) {
+    const problems = [];
+    if (!doc || typeof doc !== 'object') throw new Error('Not a challenge');
+    const isPart = t => Object.prototype.hasOwnProperty.call(COMP_DEFS, t);
+    if (typeof doc.id !== 'string' && !Number.isInteger(doc.id)) problems.push('missing id');
+    if (typeof doc.title !== 'string' || !doc.title.trim()) problems.push('missing title');
+    if (doc.desc !== undefined && typeof doc.desc !== 'string') problems.push('desc should be text');
+    if (doc.palette !== undefined) {
+      if (!Array.isArray(doc.palette) || !doc.palette.length) problems.push('palette should be a list of parts');
+      else doc.palette.filter(t => !isPart(t)).forEach(t => problems.push(`palette has unknown part "${t}"`));
+    }
+    if (doc.maxComponents !== undefined && !(Number.isInteger(doc.maxComponents) && doc.maxComponents > 0)) {
+      problems.push('maxComponents should be a whole number above 0');
+    }
+    if (doc.par !== undefined) {
+      if (!doc.par || typeof doc.par !== 'object') problems.push('par should be {parts, wires, seconds}');
+      else for (const f of ['parts', 'wires', 'seconds']) {
+        if (doc.par[f] !== undefined && !(Number.isInteger(doc.par[f]) && doc.par[f] > 0)) problems.push(`par ${f} should be a whole number above 0`);
+      }
+    }
+    if (doc.starter !== undefined) {
+      try { deserializeCircuit(doc.starter); } catch (e) { problems.push('starter: ' + e.message.replace(/\n- /g, '; ')); }
+    }
+    if (!Array.isArray(doc.goals) || !doc.goals.length) {
+      problems.push('needs at least one goal');
+    } else {
+      doc.goals.forEach((g, i) => {
+        const what = `goal #${i+1}`;
+        const kind = g && CHALLENGE_GOALS[g.goal];
+        if (!kind) { problems.push(`${what} has unknown goal "${g && g.goal}"`); return; }
+        if (kind.fields.includes('part') && !isPart(g.part)) problems.push(`${what} has unknown part "${g.part}"`);
+        if (g.count !== undefined && !(Number.isInteger(g.count) && g.count > 0)) problems.push(`${what} has bad count ${g.count}`);
+        if (g.switch !== undefined && !Number.isInteger(g.switch)) problems.push(`${what} has bad switch id ${g.switch}`);
+        for (const [f, allowed] of Object.entries(kind.choices || {})) {
+          if (!allowed.includes(g[f])) problems.push(`${what} needs ${f} to be one of ${allowed.join(', ')}`);
+        }
+      });
+    }
+    if (problems.length) throw new Error('Invalid challenge:\n- ' + problems.join('\n- '));
+
+    const out = { id:doc.id, title:doc.title.trim(), desc:doc.desc || '' };
+    if (doc.palette) out.palette = doc.palette.slice();
+    if (doc.maxComponents) out.maxComponents = doc.maxComponents;
+    if (doc.starter) out.starter = JSON.parse(JSON.stringify(doc.starter));
+    if (doc.par) {
+      out.par = {};
+      for (const f of ['parts', 'wires', 'seconds']) if (doc.par[f] !== undefined) out.par[f] = doc.par[f];
+    }
+    out.goals = doc.goals.map(g => {
+      const goal = { goal:g.goal };
+      for (const f of CHALLENGE_GOALS[g.goal].fields) if (g[f] !== undefined) goal[f] = g[f];
+      return goal;
+    });
+    return out;
+  }
+
+  // Parts that count against maxComponents
+  function countParts(components) {
+    return components.filter(c => !COMP_DEFS[c.type].isNode).length;
+  }
+
+  // Scores a circuit against a challenge:
+  //   { passed, results:[{goal, ok, text, detail?}] } - one result per goal, plus
+  //   the part limit when the challenge has one. detail says why a goal failed.
+  function evaluateChallenge(challenge, components, wires) {
+    const ctx = { components, wires, solution:solveCircuit(components, wires) };
+    const results = challenge.goals.map(g => {
+      const out = CHALLENGE_GOALS[g.goal].check(g, ctx);
+      const result = { goal:g, ok:typeof out === 'object' ? out.ok : out, text:CHALLENGE_GOALS[g.goal].describe(g) };
+      if (out && out.detail) result.detail = out.detail;
+      return result;
+    });
+    if (challenge.maxComponents) {
+      results.push({ goal:{ goal:'maxComponents' }, ok:countParts(components) <= challenge.maxComponents,
+                     text:`Use at most ${challenge.maxComponents} parts` });
+    }
+    return { passed:results.every(r => r.ok), results };
+  }
+
+  const CHALLENGES = [
+    { id:1, title:'Light the Bulb', desc:'Connect a battery to a bulb to make it glow!',
+      par:{ parts:2, wires:2 },
+      goals:[{ goal:'powered', part:'bulb' }] },
+    { id:2, title:'Flip the Switch', desc:'Build a circuit with a switch. Turn it ON to light the bulb!',
+      par:{ parts:3, wires:3 },
+      goals:[{ goal:'switches', part:'bulb', rule:'all' }, { goal:'powered', part:'bulb' }] },
+    { id:3, title:'Spin the Motor', desc:'Connect a battery to a motor and watch it spin!',
+      par:{ parts:2, wires:2 },
+      goals:[{ goal:'powered', part:'motor' }] },
+    { id:4, title:'Sound the Buzzer', desc:'Make the buzzer buzz by completing the circuit!',
+      par:{ parts:2, wires:2 },
+      goals:[{ goal:'powered', part:'buzzer' }] },
+    { id:5, title:'Two Bulbs', desc:'Light up TWO bulbs with one battery!',
+      par:{ parts:3, wires:3 },
+      goals:[{ goal:'powered', part:'bulb', count:2 }] },
+    { id:6, title:'Motor + Bulb', desc:'Power a motor AND a bulb at the same time!',
+      par:{ parts:3, wires:3 },
+      goals:[{ goal:'powered', part:'motor' }, { goal:'powered', part:'bulb' }] },
+    { id:7, title:'Switch Control', desc:'Use a switch to control a motor. Switch must be ON!',
+      par:{ parts:3, wires:3 },
+      goals:[{ goal:'switches', part:'motor', rule:'all' }, { goal:'powered', part:'motor' }] },
+    { id:8, title:'Full Orchestra', desc:'Power a bulb, motor, AND buzzer all at once!',
+      par:{ parts:4, wires:4 },
+      goals:[{ goal:'powered', part:'bulb' }, { goal:'powered', part:'motor' }, { goal:'powered', part:'buzzer' }] },
+    { id:9, title:'Either Switch', desc:'Wire up two switches so that EITHER one turns the bulb on!',
+      par:{ parts:4, wires:5, seconds:180 },
+      goals:[{ goal:'switches', part:'bulb', rule:'any', count:2 }] },
+    { id:10, title:'Staircase Light', desc:'Use two two-way switches so the light works from the top AND the bottom of the stairs. Every flip should change it!',
+      par:{ parts:4, wires:5, seconds:180 },
+      goals:[{ goal:'switches', part:'bulb', rule:'toggle', count:2 }] }
+  ];
+
+  // ============ STARS ============
+  // A solved challenge earns one star, a second for meeting at least half of
+  // the bonus criteria and a third for meeting them all. Part and wire
+  // criteria only apply when the challenge sets a par for them.
+  const DEFAULT_PAR_SECONDS = 120;
+
+  // Parts doing nothing: fewer than two of their terminals wired (props don't count)
+  function findUnusedParts(components, wires) {
+    const ids = new Set(components.map(c => c.id));
+    const wired = new Set();
+    for (const w of wires) {
+      if (!ids.has(w.from.compId) || !ids.has(w.to.compId)) continue;
+      wired.add(termKey(w.from.compId, w.from.terminal));
+      wired.add(termKey(w.to.compId, w.to.terminal));
+    }
+    return components.filter(c => !COMP_DEFS[c.type].prop &&
+      COMP_DEFS[c.type].terminals.filter(t => wired.has(termKey(c.id, t))).length < 2).map(c => c.id);
+  }
+
+  // 95 -> "1:35"
+  function formatDuration(seconds) {
+    const s = Math.round(seconds);
+    return `${Math.floor(s / 60)}:${String(s % 60).padStart(2, '0')}`;
+  }
+
+  // Stars for a circuit that solves the challenge, and why:
+  //   { stars, criteria:[{id, text, ok, actual}] }
+  function scoreChallenge(challenge, components, wires, seconds) {
+    const par = challenge.par || {};
+    const solution = solveCircuit(components, wires);
+    const criteria = [];
+    const add = (id, text, ok, actual) => criteria.push({ id, text, ok, actual });
+    if (par.parts) {
+      const used = countParts(components);
+      add('parts', `Use ${par.parts} parts or fewer`, used <= par.parts, `you used ${used}`);
+    }
+    if (par.wires) {
+      add('wires', `Use ${par.wires} wires or fewer`, wires.length <= par.wires, `you used ${wires.length}`);
+    }
+    const shorted = solution.shorts.batteries.size;
+    add('noShort', 'No short circuits', shorted === 0, shorted ? `${shorted} shorted` : 'none');
+    const unused = findUnusedParts(components, wires).length;
+    add('noUnused', 'Every part wired in', unused === 0, unused ? `${unused} left over` : 'all of them');
+    const limit = par.seconds || DEFAULT_PAR_SECONDS;
+    add('time', `Finish within ${formatDuration(limit)}`, seconds <= limit, `you took ${formatDuration(seconds)}`);
+    const earned = criteria.filter(c => c.ok).length;
+    const stars = 1 + (earned * 2 >= criteria.length ? 1 : 0) + (earned === criteria.length ? 1 : 0);
+    return { stars, criteria };
+  }
+
+
+  // ============ HINTS ============
+  // What is stopping a circuit from solving a challenge, worked out from the
+  // graph. Each hint has steps that get more specific each time the player
+  // asks, and the terminals, wires and parts worth highlighting:
+  //   { id, steps:[text, ...], highlight:{comps, terminals:[{compId, terminal}], wires} }
+  // The most useful hint comes first.
+
+  // "right side", "+ side", "input A" - where a terminal sits on its part as drawn
+  function sideName(comp, terminal) {
+    const def = COMP_DEFS[comp.type];
+    if (def.polarity) return `${def.polarity[terminal]} side`;
+    if (def.inputs) return def.inputs.includes(terminal) ? `input ${terminal.toUpperCase()}` : `${terminal} contact`;
+    const p = getTerminals(comp)[terminal], c = compCenter(comp);
+    const dx = p.x - c.x, dy = p.y - c.y;
+    const side = Math.abs(dx) >= Math.abs(dy) ? (dx < 0 ? 'left' : 'right') : (dy < 0 ? 'top' : 'bottom');
+    return def.throws ? `${side} contact` : `${side} side`;
+  }
+
+  // Terminal keys reachable from `start` along wires and through parts that
+  // conduct right now (never through a battery)
+  function reachFrom(components, wires, start, closed) {
+    const compById = new Map(components.map(c => [c.id, c]));
+    const seen = new Set([termKey(start.compId, start.terminal)]);
+    const queue = [start];
+    const visit = (compId, terminal) => {
+      const key = termKey(compId, terminal);
+      if (!compById.has(compId) || seen.has(key)) return;
+      seen.add(key);
+      queue.push({ compId, terminal });
+    };
+    while (queue.length) {
+      const { compId, terminal } = queue.shift();
+      for (const w of wires) {
+        if (w.from.compId === compId && w.from.terminal === terminal) visit(w.to.compId, w.to.terminal);
+        else if (w.to.compId === compId && w.to.terminal === terminal) visit(w.from.compId, w.from.terminal);
+      }
+      const comp = compById.get(compId), def = COMP_DEFS[comp.type];
+      if (comp.type === 'battery' || (def.conducts && !closed.has(compId))) continue;
+      for (const t of getInternalConnections(comp, terminal)) visit(compId, t);
+    }
+    return seen;
+  }
+
+  function diagnoseCircuit(challenge, components, wires) {
+    const hints = [];
+    const add = (id, steps, highlight) =>
+      hints.push({ id, steps, highlight:{ comps:[], terminals:[], wires:[], ...highlight } });
+    const solution = solveCircuit(components, wires);
+    const wiredKeys = new Set(wires.flatMap(w => [termKey(w.from.compId, w.from.terminal), termKey(w.to.compId, w.to.terminal)]));
+    const battery = components.find(c => c.type === 'battery');
+    // The same circuit with every switch ON and every button held - wiring
+    // problems are traced in this one, so an OFF switch isn't blamed for them
+    const blockers = components.filter(c => (COMP_DEFS[c.type].hasState && !c.state) || COMP_DEFS[c.type].momentary);
+    const onParts = components.map(c => blockers.includes(c) ? { ...c, state:true, pressed:true } : c);
+    const allOn = blockers.length ? solveCircuit(onParts, wires) : solution;
+
+    if (solution.shorts.batteries.size) {
+      add('short', ['Something is draining your battery without going through a part',
+                    'A wire runs from the battery\'s + side back to its − side with nothing in between',
+                    'This wire shorts the battery - take it away'],
+          { wires:[...solution.shorts.wires], comps:[...solution.shorts.batteries] });
+    }
+    const missing = (type, count) =>
+      add(`missing:${type}`, ['Read the goals again - something is missing',
+                              `You need ${countedParts(type, count)} - drag ${count > 1 ? 'them' : 'one'} in from the toolbar`]);
+    // "the switch's right side"
+    const whereIs = ({ compId, terminal }) => {
+      const comp = components.find(c => c.id === compId);
+      return `the ${partName(comp.type)}'s ${sideName(comp, terminal)}`;
+    };
+    if (!battery) {
+      add('no-battery', ['Nothing in your circuit makes electricity yet',
+                         'Every circuit needs a battery - drag one in from the toolbar']);
+    }
+
+    // Why one part of the goal is not powered
+    const diagnosePart = comp => {
+      const name = partName(comp.type);
+      const open = COMP_DEFS[comp.type].terminals.find(t => !wiredKeys.has(termKey(comp.id, t)));
+      if (open) {
+        const side = sideName(comp, open);
+        add(`open:${comp.id}:${open}`, [`The ${name} isn't part of a complete loop yet`,
+                                        `Your ${name}'s ${side} isn't connected to anything`,
+                                        `Run a wire from your ${name}'s ${side} to the rest of the loop`],
+            { terminals:[{ compId:comp.id, terminal:open }] });
+        return;
+      }
+      if (allOn.powered.has(comp.id)) {
+        const onlyButtons = blockers.every(c => COMP_DEFS[c.type].momentary);
+        add(`off:${comp.id}`, ['Something in the loop is stopping the current',
+                               onlyButtons ? 'The button only lets current through while it is held down' : 'A switch in the loop is OFF',
+                               onlyButtons ? `Hold the button down to power the ${name}` : `Tap the switch to turn it ON and power the ${name}`],
+            { comps:blockers.map(c => c.id) });
+        return;
+      }
+      if (!battery) return;
+      const plus = reachFrom(onParts, wires, { compId:battery.id, terminal:'pos' }, allOn.closed);
+      const minus = reachFrom(onParts, wires, { compId:battery.id, terminal:'neg' }, allOn.closed);
+      const keys = COMP_DEFS[comp.type].terminals.map(t => termKey(comp.id, t));
+      const toPlus = keys.some(k => plus.has(k)), toMinus = keys.some(k => minus.has(k));
+      // Terminals a trace reached but no wire leads on from
+      const deadEnds = reached => [...reached].filter(k => !wiredKeys.has(k)).map(k => {
+        const [compId, terminal] = k.split(':');
+        return { compId:Number(compId), terminal };
+      }).filter(t => !COMP_DEFS[components.find(c => c.id === t.compId).type].isNode);
+      const stopsAt = ends => ends.length ? ` - the wires stop at ${whereIs(ends[0])}` : '';
+      if (!toPlus && !toMinus) {
+        add(`apart:${comp.id}`, [`The ${name} isn't part of a complete loop yet`,
+                                 `Your ${name} isn't connected to the battery at all`,
+                                 `Wire one side of the ${name} to the battery's + side and the other to its − side`],
+            { comps:[comp.id, battery.id] });
+      } else if (!toMinus) {
+        const ends = deadEnds(plus);
+        add(`no-return:${comp.id}`, ['The loop isn\'t complete yet',
+                                     'The loop never comes back to the battery\'s − side',
+                                     `Connect the loop back to the battery's − side${stopsAt(ends)}`],
+            { terminals:[{ compId:battery.id, terminal:'neg' }, ...ends] });
+      } else if (!toPlus) {
+        const ends = deadEnds(minus);
+        add(`no-start:${comp.id}`, ['The loop isn\'t complete yet',
+                                    `Nothing connects the battery's + side to the ${name}`,
+                                    `Connect the battery's + side into the loop${stopsAt(ends)}`],
+            { terminals:[{ compId:battery.id, terminal:'pos' }, ...ends] });
+      } else {
+        const [a, b] = keys;
+        const volts = allOn.voltages.get(a) - allOn.voltages.get(b);
+        if (COMP_DEFS[comp.type].forwardVoltage && volts < 0) {
+          add(`reversed:${comp.id}`, ['LEDs are fussy about which way round they go',
+                                      `Your ${name} is the wrong way round`,
+                                      `Turn the ${name} around so its + side faces the battery's + side`],
+              { comps:[comp.id] });
+        } else if (Math.abs(volts) < 0.01) {
+          add(`bypass:${comp.id}`, ['The current is finding an easier way round',
+                                    `A wire goes straight around the ${name}, so the current skips it`,
+                                    `Find the wire that joins both sides of the ${name} and take it away`],
+              { comps:[comp.id] });
+        } else {
+          add(`weak:${comp.id}`, [`The ${name} is connected but isn't getting enough power`,
+                                  `Try more battery cells, or fewer parts in the loop with the ${name}`],
+              { comps:[comp.id, battery.id] });
+        }
+      }
+    };
+
+    const { results } = evaluateChallenge(challenge, components, wires);
+    for (const r of results.filter(r => !r.ok)) {
+      const g = r.goal;
+      if (g.goal === 'maxComponents') {
+        add('too-many', ['Your circuit has more parts than this challenge allows',
+                         `Use at most ${challenge.maxComponents} parts - you have ${countParts(components)}`]);
+        continue;
+      }
+      if (!g.part) continue;
+      const targets = components.filter(c => c.type === g.part);
+      const needed = g.goal === 'switches' ? 1 : g.count || 1;
+      if (targets.length < needed) { missing(g.part, needed); continue; }
+      if (g.goal === 'switches' && components.filter(c => COMP_DEFS[c.type].hasState).length < (g.count || 1)) {
+        missing('switch', g.count || 1);
+        continue;
+      }
+      const unpowered = targets.filter(c => !solution.powered.has(c.id));
+      if (g.goal === 'powered' && unpowered.length) diagnosePart(unpowered[0]);
+      if (r.detail && (g.goal === 'switches' || g.goal === 'onlyWhen')) {
+        // First make sure it can work at all (a staircase may be dark with all ON)
+        if (g.rule !== 'toggle' && !targets.some(c => allOn.powered.has(c.id))) diagnosePart(targets[0]);
+        const switches = components.filter(c => COMP_DEFS[c.type].hasState);
+        add(`switches:${g.part}`, [`Try flipping each switch and watch the ${partName(g.part)}`, r.detail,
+                                   `${r.detail} - look at how the switches are wired`],
+            { comps:switches.map(c => c.id) });
+      }
+    }
+    return hints.filter((h, i) => hints.findIndex(o => o.id === h.id) === i);
+  }
+
+
+  // ============ TUTORIALS ============
+  // Lessons walk a new player through the basics one step at a time. Like
+  // challenges they are plain JSON, so more can be written:
+  //   { id, title, desc, palette?, starter?,
+  //     steps: [{ say,    what to tell the player
+  //               point?, what to highlight: {tool}, {part, terminal?} or {element} (a page element id)
+  //               wait }] - what has to happen before the next step, see TUTORIAL_WAITS }
+  // The app shows a step, points at its target and moves on once the step's
+  // wait is met by the circuit on the canvas.
+
+  // Whether a wire (or a chain of wires and junctions) joins a terminal that
+  // matches `a` to one that matches `b`. Ends are {part, terminal?}.
+  function isJoined(components, wires, a, b) {
+    const nets = makeUnionFind();
+    for (const c of components) {
+      if (COMP_DEFS[c.type].isNode) for (const [t1, t2] of getIdealLinks(c)) nets.union(termKey(c.id, t1), termKey(c.id, t2));
+    }
+    for (const w of wires) nets.union(termKey(w.from.compId, w.from.terminal), termKey(w.to.compId, w.to.terminal));
+    const ends = end => components.filter(c => c.type === end.part)
+      .flatMap(c => (end.terminal ? [end.terminal] : COMP_DEFS[c.type].terminals).map(t => termKey(c.id, t)));
+    const bs = ends(b);
+    return ends(a).some(k => bs.some(j => j !== k && nets.find(j) === nets.find(k)));
+  }
+
+  // Every kind of wait: the fields it takes and its test ({components, wires})
+  const TUTORIAL_WAITS = {
+    // The player presses Next
+    next: { fields: [], check: () => false },
+    // {part, count = 1} - at least `count` of that part on the canvas
+    placed: { fields: ['part', 'count'],
+              check: (w, { components }) => components.filter(c => c.type === w.part).length >= (w.count || 1) },
+    // {from, to} - the two ends joined up, see isJoined()
+    wired: { fields: ['from', 'to'],
+             check: (w, { components, wires }) => isJoined(components, wires, w.from, w.to) },
+    // {part, on = true} - a part of that kind switched ON (or OFF)
+    switched: { fields: ['part', 'on'],
+                check: (w, { components }) => components.some(c => c.type === w.part && !!c.state === (w.on !== false)) },
+    // {part} - one of that part powered
+    powered: { fields: ['part'],
+               check: (w, { components, wires }) => {
+                 const powered = solveCircuit(components, wires).powered;
+                 return components.some(c => c.type === w.part && powered.has(c.id));
+               } }
+  };
+
+  function isStepDone(step, components, wires) {
+    return TUTORIAL_WAITS[step.wait.for].check(step.wait, { components, wires });
+  }
+
+  // Checks a lesson the same way parseChallenge() checks a challenge
+  function parseLesson(doc) {
+    const problems = [];
+    if (!doc || typeof doc !== 'object') throw new Error('Not a lesson');
+    const isPart = t => Object.prototype.hasOwnProperty.call(COMP_DEFS, t);
+    if (typeof doc.id !== 'string' || !doc.id) problems.push('missing id');
+    if (typeof doc.title !== 'string' || !doc.title.trim()) problems.push('missing title');
+    if (doc.palette !== undefined && !(Array.isArray(doc.palette) && doc.palette.every(isPart))) problems.push('palette should be a list of parts');
+    if (doc.starter !== undefined) {
+      try { deserializeCircuit(doc.starter); } catch (e) { problems.push('starter: ' + e.message.replace(/\n- /g, '; ')); }
+    }
+    if (!Array.isArray(doc.steps) || !doc.steps.length) {
+      problems.push('needs at least one step');
+    } else {
+      doc.steps.forEach((step, i) => {
+        const what = `step #${i+1}`;
+        if (!step || typeof step.say !== 'string' || !step.say) problems.push(`${what} has nothing to say`);
+        const kind = step && step.wait && TUTORIAL_WAITS[step.wait.for];
+        if (!kind) { problems.push(`${what} waits for unknown "${step && step.wait && step.wait.for}"`); return; }
+        const parts = [step.wait.part, step.wait.from && step.wait.from.part, step.wait.to && step.wait.to.part,
+                       step.point && (step.point.tool || step.point.part)];
+        parts.filter(t => t !== undefined && !isPart(t)).forEach(t => problems.push(`${what} has unknown part "${t}"`));
+        if (kind.fields.includes('from') && !(step.wait.from && step.wait.to)) problems.push(`${what} needs from and to`);
+      });
+    }
+    if (problems.length) throw new Error('Invalid lesson:\n- ' + problems.join('\n- '));
+    return JSON.parse(JSON.stringify(doc));
+  }
+
+  const LESSONS = [
+    { id:'first-circuit', title:'Your First Circuit', desc:'Place a battery and a bulb and wire them into a loop.',
+      palette:['battery', 'bulb'],
+      steps:[
+        { say:'Drag a battery from the toolbar onto the canvas (or tap it, then tap the canvas).',
+          point:{ tool:'battery' }, wait:{ for:'placed', part:'battery' } },
+        { say:'Now bring in a bulb the same way.',
+          point:{ tool:'bulb' }, wait:{ for:'placed', part:'bulb' } },
+        { say:'Wires start at the dots. Drag from the battery\'s + dot to one of the bulb\'s dots.',
+          point:{ part:'battery', terminal:'pos' }, wait:{ for:'wired', from:{ part:'battery', terminal:'pos' }, to:{ part:'bulb' } } },
+        { say:'Now drag from the bulb\'s other dot back to the battery\'s − dot.',
+          point:{ part:'battery', terminal:'neg' }, wait:{ for:'powered', part:'bulb' } },
+        { say:'It glows! Electricity only flows round a complete loop, from + back to −.',
+          wait:{ for:'next' } }
+      ] },
+    { id:'switches', title:'Switches', desc:'Add a switch and turn the bulb on and off.',
+      palette:['battery', 'bulb', 'switch'],
+      starter:{ format:'circuit-lab', version:1, nextId:4,
+                components:[{ id:1, type:'battery', x:120, y:240, value:2 }, { id:2, type:'bulb', x:420, y:120 }],
+                wires:[{ id:3, from:{ compId:1, terminal:'pos' }, to:{ compId:2, terminal:'left' } }] },
+      steps:[
+        { say:'This bulb is only half wired up. Drag a switch onto the canvas.',
+          point:{ tool:'switch' }, wait:{ for:'placed', part:'switch' } },
+        { say:'Drag a wire from the bulb\'s free dot to the switch.',
+          point:{ part:'bulb', terminal:'right' }, wait:{ for:'wired', from:{ part:'bulb', terminal:'right' }, to:{ part:'switch' } } },
+        { say:'Now wire the switch\'s other dot to the battery\'s − dot.',
+          point:{ part:'battery', terminal:'neg' }, wait:{ for:'wired', from:{ part:'switch' }, to:{ part:'battery', terminal:'neg' } } },
+        { say:'Tap the switch to turn it ON.',
+          point:{ part:'switch' }, wait:{ for:'switched', part:'switch' } },
+        { say:'Tap it again to turn it OFF.',
+          point:{ part:'switch' }, wait:{ for:'switched', part:'switch', on:false } },
+        { say:'A switch opens and closes the loop. Now try the challenges!',
+          point:{ element:'challenges-btn' }, wait:{ for:'next' } }
+      ] }
+  ];
+
+  return {
+    GRID,
+    COMP_W,
+    COMP_H,
+    TERMINAL_HIT_RADIUS,
+    NODE_HIT_RADIUS,
+    WIRE_HIT_RADIUS,
+    ROUTE_STEP,
+    LIGHT_RANGE,
+    MAGNET_RANGE,
+    MIN_CURRENT,
+    SHORT_CURRENT,
+    COMP_DEFS,
+    getResistance,
+    getBatteryVoltage,
+    ROTATIONS,
+    compSize,
+    snap,
+    createComponent,
+    rotateOffset,
+    getTerminals,
+    getTerminalPos,
+    compCenter,
+    getCompBox,
+    getCircuitBounds,
+    ZOOM_MIN,
+    ZOOM_MAX,
+    clampZoom,
+    viewToPlane,
+    zoomView,
+    fitView,
+    simplifyPath,
+    orthogonalize,
+    routeWire,
+    getWirePoints,
+    moveWireSegment,
+    distToSegment,
+    hitTerminal,
+    hitComponent,
+    hitWire,
+    hitWireSegment,
+    hitWireEnd,
+    splitWire,
+    isDuplicateWire,
+    partsInRect,
+    findFreeSpot,
+    copyParts,
+    pasteParts,
+    cloneCircuitState,
+    addComponentCmd,
+    deleteComponentCmd,
+    moveComponentCmd,
+    moveGroupCmd,
+    rotateComponentCmd,
+    setValueCmd,
+    toggleSwitchCmd,
+    addWireCmd,
+    deleteWireCmd,
+    reattachWireCmd,
+    reshapeWireCmd,
+    batchCmd,
+    deletePartsCmd,
+    replaceCircuitCmd,
+    shortcutFor,
+    termKey,
+    getClosedParts,
+    getIdealLinks,
+    solveLinear,
+    makeUnionFind,
+    solveCircuit,
+    findShorts,
+    getLoadLevel,
+    checkPowered,
+    findPath,
+    getInternalConnections,
+    CONTINUITY_OHMS,
+    measureVoltage,
+    measureCurrent,
+    measureResistance,
+    CIRCUIT_FORMAT,
+    CIRCUIT_VERSION,
+    serializeCircuit,
+    deserializeCircuit,
+    SHARE_VERSION,
+    TYPE_CODES,
+    CODE_TYPES,
+    packCircuit,
+    unpackCircuit,
+    PROJECTS_KEY,
+    PROJECT_KEY_PREFIX,
+    THUMB_KEY_PREFIX,
+    THUMB_MAX_CHARS,
+    makeProjectStore,
+    netlistName,
+    findNets,
+    makeNetlist,
+    makeSchematic,
+    MAX_CASE_SWITCHES,
+    switchLetters,
+    switchCases,
+    CHALLENGE_GOALS,
+    parseChallenge,
+    countParts,
+    evaluateChallenge,
+    DEFAULT_PAR_SECONDS,
+    findUnusedParts,
+    formatDuration,
+    scoreChallenge,
+    sideName,
+    reachFrom,
+    diagnoseCircuit,
+    isJoined,
+    TUTORIAL_WAITS,
+    isStepDone,
+    parseLesson,
+    LESSONS,
+    CHALLENGES
+  };
+});
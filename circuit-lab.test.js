@@ -43,182 +43,24 @@ function describe(name, fn) {
   fn();
 }
 
-// ============ CIRCUIT LAB CORE LOGIC (extracted from index.html) ============
-
-const GRID = 60;
-const COMP_W = GRID * 2;
-const COMP_H = GRID;
-const TERMINAL_HIT_RADIUS = 40;
-
-const COMP_DEFS = {
-  battery: { label:'Battery', color:'var(--neon-green)', terminals:['pos','neg'] },
-  bulb: { label:'Bulb', color:'var(--neon-yellow)', terminals:['left','right'] },
-  switch: { label:'Switch', color:'var(--neon-blue)', terminals:['left','right'], hasState:true },
-  motor: { label:'Motor', color:'var(--neon-purple)', terminals:['left','right'] },
-  buzzer: { label:'Buzzer', color:'var(--neon-orange)', terminals:['left','right'] },
-  wire_node: { label:'Wire', color:'var(--neon-green)', terminals:['a','b','c','d'], isNode:true }
-};
-
-// Snap to grid
-function snap(v) { return Math.round(v / GRID) * GRID; }
-
-// Get terminal positions for a component
-function getTerminals(comp) {
-  const terms = {};
-  if (comp.type === 'battery') {
-    terms.pos = {x:comp.x + COMP_W, y:comp.y + COMP_H/2};
-    terms.neg = {x:comp.x, y:comp.y + COMP_H/2};
-  } else if (comp.type === 'wire_node') {
-    terms.a = {x:comp.x + COMP_W/2, y:comp.y};
-    terms.b = {x:comp.x + COMP_W, y:comp.y + COMP_H/2};
-    terms.c = {x:comp.x + COMP_W/2, y:comp.y + COMP_H};
-    terms.d = {x:comp.x, y:comp.y + COMP_H/2};
-  } else {
-    terms.left = {x:comp.x, y:comp.y + COMP_H/2};
-    terms.right = {x:comp.x + COMP_W, y:comp.y + COMP_H/2};
-  }
-  return terms;
-}
-
-// Get terminal position by component ID
-function getTerminalPos(components, compId, terminal) {
-  const comp = components.find(c=>c.id===compId);
-  if (!comp) return {x:0,y:0};
-  return getTerminals(comp)[terminal] || {x:0,y:0};
-}
-
-// Hit test for terminals
-function hitTerminal(components, x, y) {
-  const threshold = TERMINAL_HIT_RADIUS;
-  let closest = null;
-  let closestDist = Infinity;
-  
-  for (const comp of components) {
-    const terms = getTerminals(comp);
-    for (const [name, tPos] of Object.entries(terms)) {
-      const dx = x - tPos.x, dy = y - tPos.y;
-      const dist = Math.sqrt(dx*dx + dy*dy);
-      if (dist < threshold && dist < closestDist) {
-        closest = {compId:comp.id, terminal:name};
-        closestDist = dist;
-      }
-    }
-  }
-  return closest;
-}
+// ============ CIRCUIT LAB CORE LOGIC ============
+const {
+  COMP_W,
+  snap, createComponent, getTerminals, getCompBox, getWirePoints, moveWireSegment,
+  getCircuitBounds, ZOOM_MIN, ZOOM_MAX, viewToPlane, zoomView, fitView,
+  hitTerminal, hitComponent, hitWire, hitWireSegment, hitWireEnd, splitWire, isDuplicateWire,
+  solveCircuit, getLoadLevel, checkPowered, findPath, getInternalConnections,
+  CONTINUITY_OHMS, measureVoltage, measureCurrent, measureResistance,
+  serializeCircuit, deserializeCircuit, packCircuit, unpackCircuit, partsInRect, findFreeSpot, copyParts, pasteParts,
+  findNets, makeNetlist, makeSchematic,
+  makeProjectStore, PROJECTS_KEY, PROJECT_KEY_PREFIX, THUMB_KEY_PREFIX, THUMB_MAX_CHARS,
+  shortcutFor, addComponentCmd, deleteComponentCmd, moveComponentCmd, moveGroupCmd, toggleSwitchCmd,
+  addWireCmd, deleteWireCmd, reattachWireCmd, reshapeWireCmd, batchCmd, deletePartsCmd, replaceCircuitCmd,
+  CHALLENGE_GOALS, parseChallenge, evaluateChallenge, scoreChallenge, findUnusedParts, formatDuration,
+  sideName, diagnoseCircuit, isJoined, isStepDone, parseLesson, LESSONS, CHALLENGES
+} = require('./circuit-engine');
 
-// Internal connections within a component
-function getInternalConnections(comp, fromTerminal) {
-  const def = COMP_DEFS[comp.type];
-  return def.terminals.filter(t => t !== fromTerminal);
-}
-
-// Find path through circuit (for checkPowered)
-function findPath(components, wires, startCompId, startTerminal, targetCompId, targetTerminal, visited) {
-  const queue = [{compId:startCompId, terminal:startTerminal, depth:0}];
-  const seen = new Set();
-  seen.add(`${startCompId}:${startTerminal}`);
-  
-  while (queue.length > 0) {
-    const {compId, terminal, depth} = queue.shift();
-    
-    for (const w of wires) {
-      let nextCompId, nextTerminal;
-      if (w.from.compId === compId && w.from.terminal === terminal) {
-        nextCompId = w.to.compId; nextTerminal = w.to.terminal;
-      } else if (w.to.compId === compId && w.to.terminal === terminal) {
-        nextCompId = w.from.compId; nextTerminal = w.from.terminal;
-      } else continue;
-      
-      const key = `${nextCompId}:${nextTerminal}`;
-      if (seen.has(key)) continue;
-      
-      if (nextCompId === targetCompId && nextTerminal === targetTerminal && depth > 0) {
-        visited.add(nextCompId);
-        for (const k of seen) visited.add(parseInt(k.split(':')[0]));
-        return true;
-      }
-      
-      seen.add(key);
-      visited.add(nextCompId);
-      
-      const comp = components.find(c=>c.id===nextCompId);
-      if (!comp) continue;
-      
-      if (comp.type === 'switch' && !comp.state) continue;
-      if (comp.type === 'battery') continue;
-      
-      const otherTerminals = getInternalConnections(comp, nextTerminal);
-      for (const ot of otherTerminals) {
-        const otKey = `${nextCompId}:${ot}`;
-        if (!seen.has(otKey)) {
-          seen.add(otKey);
-          queue.push({compId:nextCompId, terminal:ot, depth:depth+1});
-        }
-      }
-    }
-  }
-  return false;
-}
-
-// Check which components are powered
-function checkPowered(components, wires) {
-  const poweredIds = new Set();
-  const batteries = components.filter(c=>c.type==='battery');
-  
-  for (const bat of batteries) {
-    const visited = new Set();
-    const found = findPath(components, wires, bat.id, 'pos', bat.id, 'neg', visited);
-    if (found) {
-      for (const id of visited) poweredIds.add(id);
-      poweredIds.add(bat.id);
-    }
-  }
-  
-  return poweredIds;
-}
-
-// Check if wire is duplicate
-function isDuplicateWire(wires, from, to) {
-  return wires.some(w =>
-    (w.from.compId===from.compId && w.from.terminal===from.terminal && w.to.compId===to.compId && w.to.terminal===to.terminal) ||
-    (w.to.compId===from.compId && w.to.terminal===from.terminal && w.from.compId===to.compId && w.from.terminal===to.terminal)
-  );
-}
-
-// Create a component
-function createComponent(type, x, y, id, state) {
-  return {
-    id: id,
-    type: type,
-    x: snap(x),
-    y: snap(y),
-    state: type === 'switch' ? (state !== undefined ? state : false) : undefined
-  };
-}
-
-// ============ CHALLENGE DEFINITIONS ============
-const CHALLENGES = [
-  { id:1, title:'Light the Bulb', desc:'Connect a battery to a bulb to make it glow!',
-    require: (comps, wires) => {
-      const hasBattery = comps.some(c=>c.type==='battery');
-      const hasBulb = comps.some(c=>c.type==='bulb');
-      const powered = checkPowered(comps, wires);
-      return hasBattery && hasBulb && [...powered].some(id => comps.find(c=>c.id===id)?.type==='bulb');
-    }},
-  { id:5, title:'Two Bulbs', desc:'Light up TWO bulbs with one battery!',
-    require: (comps, wires) => {
-      const powered = checkPowered(comps, wires);
-      const poweredBulbs = [...powered].filter(id => comps.find(c=>c.id===id)?.type==='bulb');
-      return poweredBulbs.length >= 2;
-    }},
-  { id:8, title:'Full Orchestra', desc:'Power a bulb, motor, AND buzzer all at once!',
-    require: (comps, wires) => {
-      const powered = checkPowered(comps, wires);
-      const types = [...powered].map(id => comps.find(c=>c.id===id)?.type);
-      return types.includes('bulb') && types.includes('motor') && types.includes('buzzer');
-    }}
-];
+const challenge = id => CHALLENGES.find(c => c.id === id);
 
 // ============ TESTS ============
 
@@ -358,6 +200,96 @@ describe('Terminal Positions', () => {
   });
 });
 
+describe('Rotation', () => {
+  test('new components are unrotated', () => {
+    assertEqual(createComponent('bulb', 0, 0, 1).rotation, 0);
+  });
+
+  test('terminals turn about the box centre', () => {
+    // Bulb box (60,60)-(180,120), centre (120,90)
+    const bulb = createComponent('bulb', 60, 60, 1);
+    bulb.rotation = 90;
+    assertDeepEqual(getTerminals(bulb), {left: {x: 120, y: 30}, right: {x: 120, y: 150}});
+    bulb.rotation = 180;
+    assertDeepEqual(getTerminals(bulb), {left: {x: 180, y: 90}, right: {x: 60, y: 90}});
+    bulb.rotation = 270;
+    assertDeepEqual(getTerminals(bulb), {left: {x: 120, y: 150}, right: {x: 120, y: 30}});
+  });
+
+  test('battery + terminal ends up on top at 270', () => {
+    const bat = createComponent('battery', 60, 60, 1);
+    bat.rotation = 270;
+    assertDeepEqual(getTerminals(bat).pos, {x: 120, y: 30});
+  });
+
+  test('a quarter turn makes the box tall', () => {
+    const bulb = createComponent('bulb', 60, 60, 1);
+    bulb.rotation = 90;
+    assertDeepEqual(getCompBox(bulb), {x: 90, y: 30, w: 60, h: 120});
+    assertEqual(hitComponent([bulb], 120, 140), 1);
+    assertEqual(hitComponent([bulb], 70, 90), null);
+  });
+
+  test('rotation is saved and shared', () => {
+    const comps = [createComponent('bulb', 60, 60, 1), createComponent('switch', 240, 60, 2)];
+    comps[1].rotation = 270;
+    const doc = serializeCircuit(comps, [], 3);
+    assert(!('rotation' in doc.components[0]), 'unrotated parts stay as before');
+    assertEqual(deserializeCircuit(JSON.parse(JSON.stringify(doc))).components[1].rotation, 270);
+    const text = packCircuit(comps, []);
+    assertEqual(text, '1:l1,1;s4,1,r3:');
+    assertDeepEqual(deserializeCircuit(unpackCircuit(text)).components.map(c => c.rotation), [0, 270]);
+  });
+
+  test('rejects rotations that are not quarter turns', () => {
+    let err = null;
+    try {
+      deserializeCircuit({format: 'circuit-lab', version: 1, components: [{id: 1, type: 'bulb', x: 0, y: 0, rotation: 45}], wires: []});
+    } catch (e) { err = e; }
+    assert(err && /bad rotation 45/.test(err.message));
+  });
+});
+
+describe('View (zoom and pan)', () => {
+  test('canvas pixels map through the view onto the plane', () => {
+    assertDeepEqual(viewToPlane({x: 0, y: 0, zoom: 1}, 120, 60), {x: 120, y: 60});
+    assertDeepEqual(viewToPlane({x: -300, y: 60, zoom: 2}, 120, 60), {x: -240, y: 90});
+  });
+
+  test('zooming keeps the point under the pointer still', () => {
+    const view = zoomView({x: 100, y: 50, zoom: 1}, 200, 100, 2);
+    assertEqual(view.zoom, 2);
+    assertDeepEqual(viewToPlane(view, 200, 100), {x: 300, y: 150});
+  });
+
+  test('zoom is clamped', () => {
+    assertEqual(zoomView({x: 0, y: 0, zoom: 1}, 0, 0, 100).zoom, ZOOM_MAX);
+    assertEqual(zoomView({x: 0, y: 0, zoom: 1}, 0, 0, 0.001).zoom, ZOOM_MIN);
+  });
+
+  test('bounds cover rotated parts and wire bends', () => {
+    const bulb = createComponent('bulb', 60, 60, 1);
+    bulb.rotation = 90;
+    const bat = createComponent('battery', -240, 300, 2);
+    const wires = [{id: 3, from: {compId: 1, terminal: 'left'}, to: {compId: 2, terminal: 'pos'}, waypoints: [{x: 120, y: -60}]}];
+    assertDeepEqual(getCircuitBounds([bulb, bat], wires), {x: -240, y: -60, w: 390, h: 420});
+    assertEqual(getCircuitBounds([], []), null);
+  });
+
+  test('fitting centres the circuit and shrinks it to fit', () => {
+    // 600 x 300 circuit plus a grid square all round on a 360 x 420 canvas
+    const view = fitView({x: 0, y: 0, w: 600, h: 300}, 360, 420);
+    assertEqual(view.zoom, 0.5);
+    assertDeepEqual(viewToPlane(view, 180, 210), {x: 300, y: 150});
+  });
+
+  test('fitting never zooms a small circuit past life size', () => {
+    const view = fitView({x: 600, y: 600, w: 120, h: 60}, 1200, 800);
+    assertDeepEqual(view, {x: 60, y: 230, zoom: 1});
+    assertDeepEqual(fitView(null, 1200, 800), {x: 0, y: 0, zoom: 1});
+  });
+});
+
 describe('Wire Management', () => {
   test('can create wire between two terminals', () => {
     const wires = [];
@@ -408,6 +340,95 @@ describe('Wire Management', () => {
   });
 });
 
+describe('Wire Hit Testing (hitWire / hitWireEnd)', () => {
+  // Battery pos at (180, 90), bulb left at (360, 90), bulb right at (480, 90)
+  const components = [
+    createComponent('battery', 60, 60, 1),
+    createComponent('bulb', 360, 60, 2),
+    createComponent('bulb', 360, 240, 3)
+  ];
+  const wires = [
+    {id: 4, from: {compId: 1, terminal: 'pos'}, to: {compId: 2, terminal: 'left'}},
+    {id: 5, from: {compId: 2, terminal: 'right'}, to: {compId: 3, terminal: 'right'}}
+  ];
+
+  test('tap on a wire hits it', () => {
+    assertEqual(hitWire(components, wires, 270, 95), 4);
+    assertEqual(hitWire(components, wires, 510, 180), 5); // routed out past the bulbs' right edge
+  });
+
+  test('tap away from every wire misses', () => {
+    assertEqual(hitWire(components, wires, 270, 200), null);
+  });
+
+  test('tap past the end of a wire misses', () => {
+    assertEqual(hitWire(components, wires, 510, 330), null);
+  });
+
+  test('closest wire wins when two are in range', () => {
+    const crossing = [...wires, {id: 6, from: {compId: 2, terminal: 'left'}, to: {compId: 3, terminal: 'left'}}];
+    assertEqual(hitWire(components, crossing, 345, 95), 6);
+  });
+
+  test('hitWireEnd picks the nearer end of a wire', () => {
+    assertEqual(hitWireEnd(components, wires[0], 185, 92), 'from');
+    assertEqual(hitWireEnd(components, wires[0], 350, 90), 'to');
+    assertEqual(hitWireEnd(components, wires[0], 270, 90), null);
+  });
+});
+
+describe('Wire Routing', () => {
+  // Battery at (60,60)-(180,120), bulb at (360,60)-(480,120)
+  const components = [createComponent('battery', 60, 60, 1), createComponent('bulb', 360, 60, 2)];
+  const wire = (from, to, extra) => ({id: 9, from, to, ...extra});
+  const isOrthogonal = pts => pts.slice(1).every((p, i) => p.x === pts[i].x || p.y === pts[i].y);
+  const crossesBox = (pts, c) => pts.slice(1).some((p, i) => {
+    // sample each segment on the half grid and look for a point strictly inside the box
+    const a = pts[i], steps = Math.max(Math.abs(p.x - a.x), Math.abs(p.y - a.y)) / 30;
+    for (let k = 0; k <= steps; k++) {
+      const x = a.x + (p.x - a.x) * k / (steps || 1), y = a.y + (p.y - a.y) * k / (steps || 1);
+      if (x > c.x && x < c.x + COMP_W && y > c.y && y < c.y + 60) return true;
+    }
+    return false;
+  });
+
+  test('facing terminals get a straight wire', () => {
+    const pts = getWirePoints(components, wire({compId: 1, terminal: 'pos'}, {compId: 2, terminal: 'left'}));
+    assertDeepEqual(pts, [{x: 180, y: 90}, {x: 360, y: 90}]);
+  });
+
+  test('routes go around component boxes at right angles', () => {
+    const pts = getWirePoints(components, wire({compId: 1, terminal: 'neg'}, {compId: 2, terminal: 'right'}));
+    assertDeepEqual(pts[0], {x: 60, y: 90});
+    assertDeepEqual(pts[pts.length - 1], {x: 480, y: 90});
+    assert(isOrthogonal(pts), 'every segment is horizontal or vertical');
+    assert(!components.some(c => crossesBox(pts, c)), 'route stays out of component boxes');
+  });
+
+  test('a wire with waypoints keeps its shape', () => {
+    const w = wire({compId: 1, terminal: 'pos'}, {compId: 2, terminal: 'left'}, {waypoints: [{x: 180, y: 180}, {x: 360, y: 180}]});
+    assertDeepEqual(getWirePoints(components, w), [{x: 180, y: 90}, {x: 180, y: 180}, {x: 360, y: 180}, {x: 360, y: 90}]);
+  });
+
+  test('waypoints stay orthogonal when a component moves', () => {
+    const moved = [components[0], {...components[1], x: 600, y: 120}];
+    const w = wire({compId: 1, terminal: 'pos'}, {compId: 2, terminal: 'left'}, {waypoints: [{x: 180, y: 180}, {x: 360, y: 180}]});
+    assert(isOrthogonal(getWirePoints(moved, w)));
+  });
+
+  test('dragging a segment moves it to the nearest grid line', () => {
+    const pts = [{x: 180, y: 90}, {x: 360, y: 90}];
+    assertDeepEqual(moveWireSegment(pts, 0, {x: 270, y: 170}),
+                    [{x: 180, y: 90}, {x: 180, y: 180}, {x: 360, y: 180}, {x: 360, y: 90}]);
+  });
+
+  test('hitWireSegment finds the segment under the pointer', () => {
+    const w = wire({compId: 1, terminal: 'pos'}, {compId: 2, terminal: 'left'}, {waypoints: [{x: 180, y: 180}, {x: 360, y: 180}]});
+    assertEqual(hitWireSegment(components, w, 270, 185), 1);
+    assertEqual(hitWireSegment(components, w, 270, 90), null);
+  });
+});
+
 describe('Circuit Validation (checkPowered)', () => {
   test('battery + bulb in closed loop = bulb powered', () => {
     const components = [
@@ -541,6 +562,856 @@ describe('Circuit Validation (checkPowered)', () => {
   });
 });
 
+describe('Circuit Solver (solveCircuit)', () => {
+  const near = (actual, expected, message) =>
+    assert(Math.abs(actual - expected) < 1e-6, `${message}: expected ${expected}, got ${actual}`);
+
+  test('single bulb gets battery voltage minus internal drop', () => {
+    const components = [
+      createComponent('battery', 0, 0, 1),
+      createComponent('bulb', 120, 0, 2)
+    ];
+    const wires = [
+      {id: 3, from: {compId: 1, terminal: 'pos'}, to: {compId: 2, terminal: 'left'}},
+      {id: 4, from: {compId: 2, terminal: 'right'}, to: {compId: 1, terminal: 'neg'}}
+    ];
+    const sol = solveCircuit(components, wires);
+    near(sol.currents.get(2), 3 / 10.1, 'bulb current');
+    near(sol.currents.get(1), 3 / 10.1, 'battery current');
+    near(sol.voltages.get('1:neg'), 0, 'battery − is the reference');
+    near(sol.voltages.get('2:left') - sol.voltages.get('2:right'), 30 / 10.1, 'bulb voltage');
+  });
+
+  test('two bulbs in series are dimmer than one', () => {
+    const single = solveCircuit(
+      [createComponent('battery', 0, 0, 1), createComponent('bulb', 120, 0, 2)],
+      [
+        {id: 3, from: {compId: 1, terminal: 'pos'}, to: {compId: 2, terminal: 'left'}},
+        {id: 4, from: {compId: 2, terminal: 'right'}, to: {compId: 1, terminal: 'neg'}}
+      ]);
+    const seriesComps = [
+      createComponent('battery', 0, 0, 1),
+      createComponent('bulb', 120, 0, 2),
+      createComponent('bulb', 240, 0, 3)
+    ];
+    const series = solveCircuit(seriesComps, [
+      {id: 4, from: {compId: 1, terminal: 'pos'}, to: {compId: 2, terminal: 'left'}},
+      {id: 5, from: {compId: 2, terminal: 'right'}, to: {compId: 3, terminal: 'left'}},
+      {id: 6, from: {compId: 3, terminal: 'right'}, to: {compId: 1, terminal: 'neg'}}
+    ]);
+    assert(series.currents.get(2) < single.currents.get(2) * 0.6, 'series current should roughly halve');
+    near(series.currents.get(2), series.currents.get(3), 'same current through both');
+    assert(getLoadLevel(seriesComps[1], series) < getLoadLevel(seriesComps[1], single), 'level should drop');
+  });
+
+  test('parallel bulbs split the battery current', () => {
+    const components = [
+      createComponent('battery', 0, 0, 1),
+      createComponent('bulb', 120, 0, 2),
+      createComponent('bulb', 120, 120, 3)
+    ];
+    const wires = [
+      {id: 4, from: {compId: 1, terminal: 'pos'}, to: {compId: 2, terminal: 'left'}},
+      {id: 5, from: {compId: 1, terminal: 'pos'}, to: {compId: 3, terminal: 'left'}},
+      {id: 6, from: {compId: 2, terminal: 'right'}, to: {compId: 1, terminal: 'neg'}},
+      {id: 7, from: {compId: 3, terminal: 'right'}, to: {compId: 1, terminal: 'neg'}}
+    ];
+    const sol = solveCircuit(components, wires);
+    near(sol.currents.get(2), sol.currents.get(3), 'branches share equally');
+    near(sol.currents.get(1), sol.currents.get(2) + sol.currents.get(3), 'battery supplies both');
+    near(sol.wireCurrents.get(4), sol.currents.get(2), 'branch wire carries branch current');
+  });
+
+  test('wire current follows the wire direction', () => {
+    const components = [
+      createComponent('battery', 0, 0, 1),
+      createComponent('bulb', 120, 0, 2)
+    ];
+    const wires = [
+      {id: 3, from: {compId: 2, terminal: 'left'}, to: {compId: 1, terminal: 'pos'}},
+      {id: 4, from: {compId: 2, terminal: 'right'}, to: {compId: 1, terminal: 'neg'}}
+    ];
+    const sol = solveCircuit(components, wires);
+    assert(sol.wireCurrents.get(3) < 0, 'current runs pos → bulb, against the wire');
+    assert(sol.wireCurrents.get(4) > 0, 'current runs bulb → neg, along the wire');
+  });
+
+  test('dangling wire carries no current', () => {
+    const components = [
+      createComponent('battery', 0, 0, 1),
+      createComponent('bulb', 120, 0, 2),
+      createComponent('motor', 240, 0, 3)
+    ];
+    const wires = [
+      {id: 4, from: {compId: 1, terminal: 'pos'}, to: {compId: 2, terminal: 'left'}},
+      {id: 5, from: {compId: 2, terminal: 'right'}, to: {compId: 1, terminal: 'neg'}},
+      {id: 6, from: {compId: 2, terminal: 'right'}, to: {compId: 3, terminal: 'left'}}
+    ];
+    const sol = solveCircuit(components, wires);
+    near(sol.wireCurrents.get(6), 0, 'dangling wire');
+    assert(!sol.powered.has(3), 'motor hanging off the loop is not powered');
+    assert(sol.poweredWires.has(4) && sol.poweredWires.has(5), 'loop wires are powered');
+    assert(!sol.poweredWires.has(6), 'dangling wire stays dark');
+  });
+
+  test('balanced bridge wire stays dark though both its ends are lit', () => {
+    // Two equal bulb pairs across the battery, midpoints tied together
+    const components = [
+      createComponent('battery', 0, 0, 1),
+      createComponent('bulb', 120, 0, 2), createComponent('bulb', 240, 0, 3),
+      createComponent('bulb', 120, 120, 4), createComponent('bulb', 240, 120, 5)
+    ];
+    const wires = [
+      {id: 6, from: {compId: 1, terminal: 'pos'}, to: {compId: 2, terminal: 'left'}},
+      {id: 7, from: {compId: 2, terminal: 'right'}, to: {compId: 3, terminal: 'left'}},
+      {id: 8, from: {compId: 3, terminal: 'right'}, to: {compId: 1, terminal: 'neg'}},
+      {id: 9, from: {compId: 1, terminal: 'pos'}, to: {compId: 4, terminal: 'left'}},
+      {id: 10, from: {compId: 4, terminal: 'right'}, to: {compId: 5, terminal: 'left'}},
+      {id: 11, from: {compId: 5, terminal: 'right'}, to: {compId: 1, terminal: 'neg'}},
+      {id: 12, from: {compId: 2, terminal: 'right'}, to: {compId: 4, terminal: 'right'}}
+    ];
+    const sol = solveCircuit(components, wires);
+    assert(sol.powered.has(2) && sol.powered.has(4), 'both ends of the bridge are lit');
+    assert(!sol.poweredWires.has(12), 'no current crosses the bridge');
+    assert(sol.poweredWires.has(6) && sol.poweredWires.has(10), 'loop wires carry current');
+  });
+
+  test('closed switch reports the loop current', () => {
+    const components = [
+      createComponent('battery', 0, 0, 1),
+      createComponent('switch', 120, 0, 2, true),
+      createComponent('bulb', 240, 0, 3)
+    ];
+    const wires = [
+      {id: 4, from: {compId: 1, terminal: 'pos'}, to: {compId: 2, terminal: 'left'}},
+      {id: 5, from: {compId: 2, terminal: 'right'}, to: {compId: 3, terminal: 'left'}},
+      {id: 6, from: {compId: 3, terminal: 'right'}, to: {compId: 1, terminal: 'neg'}}
+    ];
+    const sol = solveCircuit(components, wires);
+    near(sol.currents.get(2), sol.currents.get(3), 'switch current');
+  });
+
+  test('circuit without battery solves to zero', () => {
+    const components = [createComponent('bulb', 0, 0, 1), createComponent('motor', 120, 0, 2)];
+    const wires = [{id: 3, from: {compId: 1, terminal: 'right'}, to: {compId: 2, terminal: 'left'}}];
+    const sol = solveCircuit(components, wires);
+    near(sol.currents.get(1), 0, 'bulb current');
+    assertEqual(sol.powered.size, 0);
+  });
+});
+
+describe('Short Circuits', () => {
+  test('bare wire from + to − shorts the battery', () => {
+    const components = [createComponent('battery', 0, 0, 1)];
+    const wires = [{id: 2, from: {compId: 1, terminal: 'pos'}, to: {compId: 1, terminal: 'neg'}}];
+    const sol = solveCircuit(components, wires);
+    assert(sol.shorts.batteries.has(1), 'battery should be shorted');
+    assert(!sol.powered.has(1), 'shorted battery is not "powered"');
+    assert(sol.shorts.wires.has(2), 'the shorting wire is flagged');
+  });
+
+  test('closed switch across the bulb shorts battery and leaves bulb dark', () => {
+    const components = [
+      createComponent('battery', 0, 0, 1),
+      createComponent('bulb', 120, 0, 2),
+      createComponent('switch', 120, 120, 3, true)
+    ];
+    const wires = [
+      {id: 4, from: {compId: 1, terminal: 'pos'}, to: {compId: 2, terminal: 'left'}},
+      {id: 5, from: {compId: 2, terminal: 'right'}, to: {compId: 1, terminal: 'neg'}},
+      {id: 6, from: {compId: 2, terminal: 'left'}, to: {compId: 3, terminal: 'left'}},
+      {id: 7, from: {compId: 3, terminal: 'right'}, to: {compId: 2, terminal: 'right'}}
+    ];
+    const sol = solveCircuit(components, wires);
+    assert(sol.shorts.batteries.has(1), 'battery should be shorted');
+    assert(sol.shorts.loads.has(2), 'bulb is bypassed');
+    assert(!sol.powered.has(2), 'bypassed bulb stays dark');
+  });
+
+  test('opening that switch removes the short', () => {
+    const components = [
+      createComponent('battery', 0, 0, 1),
+      createComponent('bulb', 120, 0, 2),
+      createComponent('switch', 120, 120, 3, false)
+    ];
+    const wires = [
+      {id: 4, from: {compId: 1, terminal: 'pos'}, to: {compId: 2, terminal: 'left'}},
+      {id: 5, from: {compId: 2, terminal: 'right'}, to: {compId: 1, terminal: 'neg'}},
+      {id: 6, from: {compId: 2, terminal: 'left'}, to: {compId: 3, terminal: 'left'}},
+      {id: 7, from: {compId: 3, terminal: 'right'}, to: {compId: 2, terminal: 'right'}}
+    ];
+    const sol = solveCircuit(components, wires);
+    assertEqual(sol.shorts.batteries.size, 0);
+    assert(sol.powered.has(2), 'bulb lights');
+  });
+
+  test('wire_node bypassing one of two series bulbs', () => {
+    const components = [
+      createComponent('battery', 0, 0, 1),
+      createComponent('bulb', 120, 0, 2),
+      createComponent('bulb', 240, 0, 3),
+      createComponent('wire_node', 240, 120, 4)
+    ];
+    const wires = [
+      {id: 5, from: {compId: 1, terminal: 'pos'}, to: {compId: 2, terminal: 'left'}},
+      {id: 6, from: {compId: 2, terminal: 'right'}, to: {compId: 3, terminal: 'left'}},
+      {id: 7, from: {compId: 3, terminal: 'right'}, to: {compId: 1, terminal: 'neg'}},
+      {id: 8, from: {compId: 3, terminal: 'left'}, to: {compId: 4, terminal: 'a'}},
+      {id: 9, from: {compId: 4, terminal: 'c'}, to: {compId: 3, terminal: 'right'}}
+    ];
+    const sol = solveCircuit(components, wires);
+    assertEqual(sol.shorts.batteries.size, 0, 'bulb 2 still loads the battery');
+    assert(sol.shorts.loads.has(3), 'bulb 3 is bypassed');
+    assert(sol.powered.has(2) && !sol.powered.has(3));
+  });
+
+  test('two batteries wired into a loop with no load', () => {
+    const components = [createComponent('battery', 0, 0, 1), createComponent('battery', 0, 120, 2)];
+    const wires = [
+      {id: 3, from: {compId: 1, terminal: 'pos'}, to: {compId: 2, terminal: 'neg'}},
+      {id: 4, from: {compId: 2, terminal: 'pos'}, to: {compId: 1, terminal: 'neg'}}
+    ];
+    const sol = solveCircuit(components, wires);
+    assert(sol.shorts.batteries.has(1) && sol.shorts.batteries.has(2));
+  });
+
+  test('equal batteries in parallel are not a short', () => {
+    const components = [createComponent('battery', 0, 0, 1), createComponent('battery', 0, 120, 2)];
+    const wires = [
+      {id: 3, from: {compId: 1, terminal: 'pos'}, to: {compId: 2, terminal: 'pos'}},
+      {id: 4, from: {compId: 1, terminal: 'neg'}, to: {compId: 2, terminal: 'neg'}}
+    ];
+    assertEqual(solveCircuit(components, wires).shorts.batteries.size, 0);
+  });
+
+  test('normal loop has no shorts', () => {
+    const components = [createComponent('battery', 0, 0, 1), createComponent('bulb', 120, 0, 2)];
+    const wires = [
+      {id: 3, from: {compId: 1, terminal: 'pos'}, to: {compId: 2, terminal: 'left'}},
+      {id: 4, from: {compId: 2, terminal: 'right'}, to: {compId: 1, terminal: 'neg'}}
+    ];
+    const sol = solveCircuit(components, wires);
+    assertEqual(sol.shorts.batteries.size + sol.shorts.loads.size + sol.shorts.wires.size, 0);
+  });
+});
+
+describe('Save / Load (serializeCircuit / deserializeCircuit)', () => {
+  const sample = () => ({
+    components: [
+      createComponent('battery', 0, 0, 1),
+      createComponent('switch', 120, 0, 2, true),
+      createComponent('bulb', 240, 0, 3)
+    ],
+    wires: [
+      {id: 4, from: {compId: 1, terminal: 'pos'}, to: {compId: 2, terminal: 'left'}},
+      {id: 5, from: {compId: 2, terminal: 'right'}, to: {compId: 3, terminal: 'left'}}
+    ]
+  });
+
+  test('serialized document is versioned', () => {
+    const {components, wires} = sample();
+    const doc = serializeCircuit(components, wires, 6);
+    assertEqual(doc.format, 'circuit-lab');
+    assertEqual(doc.version, 1);
+    assertEqual(doc.nextId, 6);
+  });
+
+  test('round trip keeps components, wires and switch state', () => {
+    const {components, wires} = sample();
+    const doc = JSON.parse(JSON.stringify(serializeCircuit(components, wires, 6)));
+    const loaded = deserializeCircuit(doc);
+    assertEqual(loaded.components.length, 3);
+    assertEqual(loaded.wires.length, 2);
+    assertEqual(loaded.components[1].state, true);
+    assertEqual(loaded.nextId, 6);
+    assertDeepEqual(loaded.wires[1], wires[1]);
+  });
+
+  test('only switches carry a state', () => {
+    const {components, wires} = sample();
+    const doc = serializeCircuit(components, wires, 6);
+    assert(!('state' in doc.components[0]), 'battery has no state');
+    assert('state' in doc.components[1], 'switch has state');
+  });
+
+  test('nextId is raised above every id in the file', () => {
+    const {components, wires} = sample();
+    const doc = serializeCircuit(components, wires, 2);
+    assertEqual(deserializeCircuit(doc).nextId, 6);
+  });
+
+  test('rejects other formats and newer versions', () => {
+    let err = null;
+    try { deserializeCircuit({format: 'something', version: 1, components: [], wires: []}); } catch (e) { err = e; }
+    assert(err && /format/.test(err.message), 'format should be checked');
+    err = null;
+    try { deserializeCircuit({format: 'circuit-lab', version: 99, components: [], wires: []}); } catch (e) { err = e; }
+    assert(err && /newer/.test(err.message), 'version should be checked');
+  });
+
+  test('rejects duplicate ids', () => {
+    const {components, wires} = sample();
+    const doc = serializeCircuit(components, wires, 6);
+    doc.wires[0].id = 1;
+    let err = null;
+    try { deserializeCircuit(doc); } catch (e) { err = e; }
+    assert(err && /reuses id 1/.test(err.message), 'duplicate id should be reported');
+  });
+
+  test('rejects unknown terminals and dangling wires', () => {
+    const {components, wires} = sample();
+    const doc = serializeCircuit(components, wires, 6);
+    doc.wires[0].from.terminal = 'left'; // battery has pos/neg
+    doc.wires[1].to.compId = 42;
+    let err = null;
+    try { deserializeCircuit(doc); } catch (e) { err = e; }
+    assert(err, 'should throw');
+    assert(/unknown terminal "left"/.test(err.message), 'terminal problem listed');
+    assert(/missing component/.test(err.message), 'dangling wire listed');
+  });
+
+  test('rejects unknown component types', () => {
+    let err = null;
+    try {
+      deserializeCircuit({format: 'circuit-lab', version: 1, components: [{id: 1, type: 'toaster', x: 0, y: 0}], wires: []});
+    } catch (e) { err = e; }
+    assert(err && /toaster/.test(err.message));
+  });
+
+  test('wire routes are kept', () => {
+    const {components, wires} = sample();
+    wires[0].waypoints = [{x: 150, y: 90}, {x: 150, y: 30}];
+    const loaded = deserializeCircuit(JSON.parse(JSON.stringify(serializeCircuit(components, wires, 6))));
+    assertDeepEqual(loaded.wires[0].waypoints, [{x: 150, y: 90}, {x: 150, y: 30}]);
+    assert(!('waypoints' in loaded.wires[1]), 'auto-routed wire stays auto-routed');
+  });
+
+  test('rejects bad waypoints', () => {
+    const {components, wires} = sample();
+    const doc = serializeCircuit(components, wires, 6);
+    doc.wires[0].waypoints = [{x: 1}];
+    let err = null;
+    try { deserializeCircuit(doc); } catch (e) { err = e; }
+    assert(err && /wire #1 has bad waypoints/.test(err.message));
+  });
+});
+
+describe('Share Links (packCircuit / unpackCircuit)', () => {
+  const sample = () => ({
+    components: [
+      createComponent('battery', 60, 120, 10),
+      createComponent('switch', 240, 120, 11, true),
+      createComponent('bulb', 420, 120, 12)
+    ],
+    wires: [
+      {id: 13, from: {compId: 10, terminal: 'pos'}, to: {compId: 11, terminal: 'left'}},
+      {id: 14, from: {compId: 11, terminal: 'right'}, to: {compId: 12, terminal: 'left'}},
+      {id: 15, from: {compId: 12, terminal: 'right'}, to: {compId: 10, terminal: 'neg'}}
+    ]
+  });
+
+  test('packs into a short URL-safe string', () => {
+    const {components, wires} = sample();
+    const text = packCircuit(components, wires);
+    assertEqual(text, '1:b1,2;s4,2,s1;l7,2:0.0.1.0;1.1.2.0;2.1.0.1');
+    assert(/^[0-9a-z:;,.-]*$/.test(text), 'only fragment-safe characters');
+  });
+
+  test('round trip rebuilds a valid, equivalent circuit', () => {
+    const {components, wires} = sample();
+    const loaded = deserializeCircuit(unpackCircuit(packCircuit(components, wires)));
+    assertDeepEqual(loaded.components.map(c => [c.type, c.x, c.y, c.state]),
+                    components.map(c => [c.type, c.x, c.y, c.state]));
+    assertEqual(loaded.wires.length, 3);
+    assertDeepEqual(loaded.wires[2].to, {compId: 1, terminal: 'neg'});
+    assert(checkPowered(loaded.components, loaded.wires).has(3), 'bulb still lights');
+    assertEqual(loaded.nextId, 7);
+  });
+
+  test('wire routes survive in grid units', () => {
+    const {components, wires} = sample();
+    wires[0].waypoints = [{x: 210, y: 150}, {x: 270, y: 150}];
+    wires[1].waypoints = [];
+    const text = packCircuit(components, wires);
+    assert(text.includes('0.0.1.0,w7_5_9_5;1.1.2.0,w;'), 'waypoints packed after the ends');
+    assert(/^[0-9a-z:;,._-]*$/.test(text), 'only fragment-safe characters');
+    const loaded = deserializeCircuit(unpackCircuit(text));
+    assertDeepEqual(loaded.wires[0].waypoints, wires[0].waypoints);
+    assertDeepEqual(loaded.wires[1].waypoints, []);
+    assert(!('waypoints' in loaded.wires[2]), 'auto-routed wire stays auto-routed');
+  });
+
+  test('empty circuit round trips', () => {
+    const loaded = deserializeCircuit(unpackCircuit(packCircuit([], [])));
+    assertEqual(loaded.components.length + loaded.wires.length, 0);
+  });
+
+  test('negative coordinates survive', () => {
+    const components = [createComponent('bulb', -120, -60, 1)];
+    const loaded = deserializeCircuit(unpackCircuit(packCircuit(components, [])));
+    assertEqual(loaded.components[0].x, -120);
+    assertEqual(loaded.components[0].y, -60);
+  });
+
+  test('rejects other versions', () => {
+    let err = null;
+    try { unpackCircuit('9:b1,2:'); } catch (e) { err = e; }
+    assert(err, 'should throw');
+  });
+
+  test('garbled links fail validation instead of loading', () => {
+    let err = null;
+    try { deserializeCircuit(unpackCircuit('1:q1,2;l3,2:0.0.5.0')); } catch (e) { err = e; }
+    assert(err && /unknown type/.test(err.message), 'bad type code reported');
+  });
+});
+
+describe('Projects (makeProjectStore)', () => {
+  // localStorage stand-in; `limit` = most characters it holds before throwing like a full quota
+  function memoryStorage(limit = Infinity) {
+    const data = new Map();
+    const used = () => [...data.values()].reduce((n, v) => n + v.length, 0);
+    return {
+      data,
+      getItem: k => (data.has(k) ? data.get(k) : null),
+      setItem(k, v) {
+        v = String(v);
+        if (used() - (data.get(k) || '').length + v.length > limit) throw new Error('QuotaExceededError');
+        data.set(k, v);
+      },
+      removeItem: k => { data.delete(k); }
+    };
+  }
+  let clock = 1000;
+  const tick = () => ++clock;
+  const circuit = () => ({
+    components: [createComponent('battery', 0, 0, 1), createComponent('switch', 180, 0, 2, true), createComponent('bulb', 360, 0, 3)],
+    wires: [{id: 4, from: {compId: 1, terminal: 'pos'}, to: {compId: 2, terminal: 'left'}, waypoints: [{x: 150, y: 60}]}]
+  });
+
+  test('a first visit gets one current project, and the list survives a reload', () => {
+    const storage = memoryStorage();
+    const store = makeProjectStore(storage, tick);
+    store.load();
+    assertDeepEqual(store.index.projects.map(p => p.name), ['My Circuit']);
+    assertEqual(store.current().name, 'My Circuit');
+    assert(store.saveIndex(), 'saved');
+    const again = makeProjectStore(storage, tick);
+    again.load();
+    assertDeepEqual(again.index, store.index);
+  });
+
+  test('new projects go first and become current; renames are trimmed', () => {
+    const store = makeProjectStore(memoryStorage(), tick);
+    store.load();
+    const second = store.create('Second');
+    assertEqual(store.index.projects[0], second);
+    assertEqual(store.index.currentId, second.id);
+    assert(store.rename(second.id, '  Torch  '), 'renamed');
+    assertEqual(second.name, 'Torch');
+    assert(!store.rename(second.id, '   '), 'blank refused');
+    assertEqual(second.name, 'Torch');
+    assert(!store.rename('nope', 'X'), 'unknown id');
+  });
+
+  test('autosave round trip through serialize and deserialize', () => {
+    const storage = memoryStorage();
+    const store = makeProjectStore(storage, tick);
+    const project = store.load() && store.current();
+    const {components, wires} = circuit();
+    const before = project.updated;
+    store.writeCircuit(project.id, serializeCircuit(components, wires, 5));
+    assert(project.updated > before, 'marked as updated');
+    store.saveIndex();
+    const reloaded = makeProjectStore(storage, tick);
+    reloaded.load();
+    const loaded = deserializeCircuit(reloaded.readCircuit(reloaded.index.currentId));
+    assertDeepEqual(loaded.components.map(c => [c.type, c.x, c.y, c.state]), components.map(c => [c.type, c.x, c.y, c.state]));
+    assertDeepEqual(loaded.wires, wires);
+    assertEqual(loaded.nextId, 5);
+    assertEqual(store.readCircuit('missing'), null, 'nothing saved yet');
+  });
+
+  test('deleting removes the circuit and thumbnail, and another project takes over', () => {
+    const storage = memoryStorage();
+    const store = makeProjectStore(storage, tick);
+    store.load();
+    const first = store.current();
+    const second = store.create('Second');
+    store.writeCircuit(second.id, serializeCircuit([], [], 1));
+    store.setThumb(second.id, 'data:image/svg+xml,x');
+    store.remove(second.id);
+    assert(!storage.data.has(PROJECT_KEY_PREFIX + second.id) && !storage.data.has(THUMB_KEY_PREFIX + second.id), 'keys gone');
+    assertEqual(store.index.currentId, first.id);
+    store.remove(first.id);
+    assertDeepEqual(store.index.projects.map(p => p.name), ['My Circuit'], 'never left with none');
+    assert(store.index.currentId !== first.id, 'a fresh one');
+  });
+
+  test('a duplicate copies the circuit and thumbnail but stays in the background', () => {
+    const store = makeProjectStore(memoryStorage(), tick);
+    store.load();
+    const original = store.current();
+    store.writeCircuit(original.id, serializeCircuit(circuit().components, [], 4));
+    store.setThumb(original.id, 'data:image/svg+xml,x');
+    const copy = store.duplicate(original.id);
+    assertEqual(copy.name, 'My Circuit (copy)');
+    assertEqual(store.index.currentId, original.id);
+    assertDeepEqual(store.readCircuit(copy.id), store.readCircuit(original.id));
+    assertEqual(store.thumb(copy.id), 'data:image/svg+xml,x');
+  });
+
+  test('thumbnails live under their own keys, and oversized ones are dropped', () => {
+    const storage = memoryStorage();
+    const store = makeProjectStore(storage, tick);
+    store.load();
+    const id = store.index.currentId;
+    assert(store.setThumb(id, 'data:image/svg+xml,small'));
+    store.saveIndex();
+    assert(!storage.getItem(PROJECTS_KEY).includes('svg'), 'not in the index');
+    assert(!store.setThumb(id, 'x'.repeat(THUMB_MAX_CHARS + 1)), 'too big');
+    assertEqual(store.thumb(id), null, 'old one cleared too');
+  });
+
+  test('thumbnails in an older index move out to their own keys', () => {
+    const storage = memoryStorage();
+    storage.setItem(PROJECTS_KEY, JSON.stringify({currentId: 'p1', projects: [{id: 'p1', name: 'Old', updated: 1, thumb: 'data:x'}]}));
+    const store = makeProjectStore(storage, tick);
+    store.load();
+    assert(!('thumb' in store.index.projects[0]));
+    assertEqual(store.thumb('p1'), 'data:x');
+  });
+
+  test('a full store refuses writes without breaking the saved list', () => {
+    const storage = memoryStorage(400);
+    const store = makeProjectStore(storage, tick);
+    store.load();
+    assert(store.saveIndex(), 'the list fits');
+    const saved = storage.getItem(PROJECTS_KEY);
+    assert(!store.setThumb(store.index.currentId, 'x'.repeat(1000)), 'no room for the thumbnail');
+    let err = null;
+    try { store.writeCircuit(store.index.currentId, serializeCircuit(circuit().components, circuit().wires, 5)); } catch (e) { err = e; }
+    assert(err, 'circuit write reports the full store');
+    for (let i = 0; i < 10; i++) store.create('Project ' + i);
+    assert(!store.saveIndex(), 'list too big to save');
+    assertEqual(storage.getItem(PROJECTS_KEY), saved, 'the last good list is kept');
+    assertEqual(makeProjectStore(storage, tick).load().projects.length, 1);
+  });
+});
+
+describe('Copy and Paste (copyParts / pasteParts)', () => {
+  // Battery 1 -> bulb 2 -> switch 3 -> battery, plus a loose bulb 4
+  function branch() {
+    const comps = [
+      createComponent('battery', 60, 60, 1), createComponent('bulb', 300, 60, 2),
+      createComponent('switch', 300, 240, 3), createComponent('bulb', 600, 360, 4)
+    ];
+    const wires = [
+      {id: 5, from: {compId: 1, terminal: 'pos'}, to: {compId: 2, terminal: 'left'}},
+      {id: 6, from: {compId: 2, terminal: 'right'}, to: {compId: 3, terminal: 'right'}, waypoints: [{x: 480, y: 90}, {x: 480, y: 270}]},
+      {id: 7, from: {compId: 3, terminal: 'left'}, to: {compId: 1, terminal: 'neg'}}
+    ];
+    return {comps, wires};
+  }
+
+  test('a rubber band picks every part it touches', () => {
+    const {comps} = branch();
+    assertDeepEqual(partsInRect(comps, {x: 250, y: 30, w: 100, h: 240}), [2, 3]);
+    assertDeepEqual(partsInRect(comps, {x: 350, y: 270, w: -400, h: -300}), [1, 2, 3], 'dragged up and left');
+    assertDeepEqual(partsInRect(comps, {x: 900, y: 900, w: 60, h: 60}), []);
+  });
+
+  test('copies keep only the wires inside the selection', () => {
+    const {comps, wires} = branch();
+    const clip = copyParts(comps, wires, [2, 3]);
+    assertDeepEqual(clip.components.map(c => c.id), [2, 3]);
+    assertDeepEqual(clip.wires.map(w => w.id), [6]);
+    clip.wires[0].waypoints[0].x = 0;
+    clip.components[0].x = 0;
+    assertEqual(wires[1].waypoints[0].x, 480, 'the copy is detached');
+    assertEqual(comps[1].x, 300);
+  });
+
+  test('pasting renumbers from nextId and rewires to the new parts', () => {
+    const {comps, wires} = branch();
+    const pasted = pasteParts(copyParts(comps, wires, [1, 2, 3]), 8, 0, 300);
+    assertDeepEqual(pasted.components.map(c => [c.id, c.type, c.x, c.y]), [[8, 'battery', 60, 360], [9, 'bulb', 300, 360], [10, 'switch', 300, 540]]);
+    assertDeepEqual(pasted.wires.map(w => [w.id, w.from.compId, w.to.compId]), [[11, 8, 9], [12, 9, 10], [13, 10, 8]]);
+    assertDeepEqual(pasted.wires[1].waypoints, [{x: 480, y: 390}, {x: 480, y: 570}]);
+    assertEqual(pasted.nextId, 14);
+  });
+
+  test('a pasted branch works on its own', () => {
+    const {comps, wires} = branch();
+    comps[2].state = true;
+    const pasted = pasteParts(copyParts(comps, wires, [1, 2, 3]), 8, 0, 300);
+    const all = comps.concat(pasted.components);
+    assert(checkPowered(all, wires.concat(pasted.wires)).has(9), 'copy lights');
+    assert(checkPowered(all, pasted.wires).has(9) && !checkPowered(all, pasted.wires).has(2), 'without the original wires');
+  });
+
+  test('new parts go in the middle, or the nearest clear spot', () => {
+    assertDeepEqual(findFreeSpot([], 'bulb', {x: 600, y: 400}), {x: 600, y: 390});
+    const taken = [createComponent('bulb', 540, 360, 1)];
+    const spot = findFreeSpot(taken, 'bulb', {x: 600, y: 400});
+    const placed = createComponent('bulb', spot.x - 60, spot.y - 30, 2);
+    assertEqual(partsInRect(taken, {x: placed.x - 30, y: placed.y - 30, w: 180, h: 120}).length, 0, 'clear all round');
+    assertEqual(Math.abs(placed.y - 360) <= 120 && Math.abs(placed.x - 540) <= 180, true, 'next ring out');
+  });
+
+  test('a held button is copied released', () => {
+    const btn = createComponent('button', 0, 0, 1);
+    btn.pressed = true;
+    assert(!('pressed' in copyParts([btn], [], [1]).components[0]));
+  });
+});
+
+describe('Undo / Redo (history commands)', () => {
+  const link = (id, c1, t1, c2, t2) => ({id, from: {compId: c1, terminal: t1}, to: {compId: c2, terminal: t2}});
+  // Battery 1 -> switch 2 -> bulb 3 -> battery, like the app's live lists
+  function loop() {
+    return {
+      components: [createComponent('battery', 0, 0, 1), createComponent('switch', 180, 0, 2, true), createComponent('bulb', 360, 0, 3)],
+      wires: [link(4, 1, 'pos', 2, 'left'), link(5, 2, 'right', 3, 'left'), link(6, 3, 'right', 1, 'neg')]
+    };
+  }
+  const snapshot = scene => JSON.stringify(scene);
+  // Runs the command, then undo, redo, undo - returning the scene after each step
+  function cycle(scene, cmd) {
+    const states = [snapshot(scene)];
+    for (const step of ['redo', 'undo', 'redo', 'undo']) { cmd[step](); states.push(snapshot(scene)); }
+    return states;
+  }
+
+  test('placing a part: undo removes it, redo brings it back', () => {
+    const scene = loop();
+    const [before, done, undone, redone, undoneAgain] = cycle(scene, addComponentCmd(scene, createComponent('motor', 0, 180, 7)));
+    assert(done !== before, 'placed');
+    assertEqual(undone, before);
+    assertEqual(redone, done);
+    assertEqual(undoneAgain, before);
+  });
+
+  test('deleting a part takes its wires, and undo puts both back in their slots', () => {
+    const scene = loop();
+    const [before, done, undone, redone, undoneAgain] = cycle(scene, deleteComponentCmd(scene, 2));
+    assertDeepEqual(JSON.parse(done).components.map(c => c.id), [1, 3]);
+    assertDeepEqual(JSON.parse(done).wires.map(w => w.id), [6]);
+    assertEqual(undone, before);
+    assertEqual(redone, done);
+    assertEqual(undoneAgain, before);
+  });
+
+  test('undoing a delete restores the part as it was recorded, not as it was left', () => {
+    const scene = loop();
+    const del = deleteComponentCmd(scene, 2);
+    const removed = scene.components[1];
+    del.redo();
+    removed.state = false; // someone still holding the old object
+    removed.x = 999;
+    del.undo();
+    assertEqual(scene.components[1].state, true);
+    assertEqual(scene.components[1].x, 180);
+    assert(scene.components[1] !== removed, 'a fresh copy');
+  });
+
+  test('redo after a clear brings back the recorded switch state', () => {
+    // Place a switch, toggle it on, clear, undo all three, redo two
+    const scene = {components: [], wires: []};
+    const run = cmd => { cmd.redo(); return cmd; };
+    const steps = [run(addComponentCmd(scene, createComponent('switch', 0, 0, 1))), run(toggleSwitchCmd(scene, 1))];
+    steps.push(run(replaceCircuitCmd(scene, 'Clear', {components: [], wires: []})));
+    assertEqual(scene.components.length, 0);
+    steps.slice().reverse().forEach(c => c.undo());
+    assertEqual(scene.components.length, 0);
+    steps[0].redo();
+    assertEqual(scene.components[0].state, false, 'placed off');
+    steps[1].redo();
+    assertEqual(scene.components[0].state, true, 'toggled on, as recorded');
+  });
+
+  test('moving a part or a group, with the bends between them', () => {
+    const scene = loop();
+    scene.wires[1].waypoints = [{x: 330, y: 90}];
+    const [before, , undone, redone] = cycle(scene, moveComponentCmd(scene, 3, {x: 360, y: 0}, {x: 360, y: 120}));
+    assertEqual(JSON.parse(redone).components[2].y, 120);
+    assertEqual(undone, before);
+    const group = {parts: [{id: 2, x: 180, y: 0}, {id: 3, x: 360, y: 0}], routes: [{id: 5, before: [{x: 330, y: 90}]}]};
+    const states = cycle(scene, moveGroupCmd(scene, group, 60, 30));
+    const moved = JSON.parse(states[3]);
+    assertDeepEqual(moved.components.slice(1).map(c => [c.x, c.y]), [[240, 30], [420, 30]]);
+    assertDeepEqual(moved.wires[1].waypoints, [{x: 390, y: 120}]);
+    assertEqual(states[4], before);
+  });
+
+  test('wire edits: add, delete, reattach and reshape all undo and redo', () => {
+    const scene = loop();
+    const edits = [
+      addWireCmd(scene, link(7, 1, 'pos', 3, 'left')),
+      deleteWireCmd(scene, 5),
+      reattachWireCmd(scene, 4, 'to', {compId: 3, terminal: 'left'}),
+      reshapeWireCmd(scene, 6, undefined, [{x: 420, y: 120}, {x: -30, y: 120}])
+    ];
+    for (const cmd of edits) {
+      const [before, done, undone, redone, undoneAgain] = cycle(scene, cmd);
+      assert(done !== before, `${cmd.label} changed something`);
+      assertEqual(undone, before, `${cmd.label} undone`);
+      assertEqual(redone, done, `${cmd.label} redone`);
+      assertEqual(undoneAgain, before, `${cmd.label} undone again`);
+    }
+  });
+
+  test('a re-added wire does not pick up later changes to the object it came from', () => {
+    const scene = loop();
+    const wire = link(7, 1, 'pos', 3, 'left');
+    const add = addWireCmd(scene, wire);
+    add.redo();
+    wire.waypoints = [{x: 0, y: 300}];
+    add.undo();
+    add.redo();
+    assert(!('waypoints' in scene.wires[3]), 'still auto-routed');
+  });
+
+  test('a batch undoes in reverse and deleting several parts is one step', () => {
+    const scene = loop();
+    const before = snapshot(scene);
+    const batch = batchCmd('junction', [deleteWireCmd(scene, 5), addWireCmd(scene, link(5, 2, 'right', 3, 'right'))]);
+    batch.redo();
+    assertEqual(scene.wires.find(w => w.id === 5).to.terminal, 'right');
+    batch.undo();
+    assertEqual(snapshot(scene), before);
+    const del = deletePartsCmd(scene, [2, 3]);
+    assertEqual(del.label, 'delete');
+    del.redo();
+    assertDeepEqual([scene.components.length, scene.wires.length], [1, 0]);
+    del.undo();
+    assertEqual(snapshot(scene), before);
+  });
+});
+
+describe('Keyboard Shortcuts (shortcutFor)', () => {
+  const press = (key, mods = {}) => ({key, ctrlKey: false, metaKey: false, shiftKey: false, ...mods});
+  const board = {onBoard: true, selected: true, wireSelected: false, parts: true, clipboard: true};
+  const elsewhere = {...board, onBoard: false};
+
+  test('letter keys work on the canvas, toolbar or nothing focused', () => {
+    assertEqual(shortcutFor(press('r'), board), 'rotate');
+    assertEqual(shortcutFor(press('R', {shiftKey: true}), board), 'rotateBack');
+    assertEqual(shortcutFor(press('m'), board), 'mute');
+    assertEqual(shortcutFor(press('f'), board), 'fit');
+    assertEqual(shortcutFor(press('d', {ctrlKey: true}), board), 'duplicate');
+    assertEqual(shortcutFor(press('a', {metaKey: true}), board), 'selectAll');
+  });
+
+  test('D, A, R, M and F do nothing with focus on a button or panel', () => {
+    for (const key of ['r', 'm', 'f']) assertEqual(shortcutFor(press(key), elsewhere), null, key);
+    for (const key of ['d', 'a']) assertEqual(shortcutFor(press(key, {ctrlKey: true}), elsewhere), null, 'Ctrl+' + key);
+  });
+
+  test('copy, cut, paste and delete leave other controls alone', () => {
+    for (const key of ['c', 'x', 'v']) assertEqual(shortcutFor(press(key, {ctrlKey: true}), elsewhere), null, 'Ctrl+' + key);
+    assertEqual(shortcutFor(press('Backspace'), elsewhere), null);
+    assertEqual(shortcutFor(press('Delete'), elsewhere), null);
+    assertEqual(shortcutFor(press('c', {ctrlKey: true}), board), 'copy');
+    assertEqual(shortcutFor(press('Delete'), board), 'delete');
+  });
+
+  test('the browser keeps Ctrl+A, Ctrl+D and friends when there is nothing to act on', () => {
+    const empty = {onBoard: true, selected: false, wireSelected: false, parts: false, clipboard: false};
+    for (const key of ['a', 'c', 'x', 'v', 'd']) assertEqual(shortcutFor(press(key, {ctrlKey: true}), empty), null, 'Ctrl+' + key);
+    assertEqual(shortcutFor(press('Delete'), empty), null);
+    assertEqual(shortcutFor(press('Delete'), {...empty, wireSelected: true}), 'delete', 'a selected wire');
+  });
+
+  test('undo, redo and Escape work wherever focus is', () => {
+    assertEqual(shortcutFor(press('z', {ctrlKey: true}), elsewhere), 'undo');
+    assertEqual(shortcutFor(press('Z', {ctrlKey: true, shiftKey: true}), elsewhere), 'redo');
+    assertEqual(shortcutFor(press('y', {metaKey: true}), elsewhere), 'redo');
+    assertEqual(shortcutFor(press('Escape'), elsewhere), 'deselect');
+  });
+});
+
+describe('Schematic and Netlist', () => {
+  const wire = (id, a, at, b, bt) => ({id, from: {compId: a, terminal: at}, to: {compId: b, terminal: bt}});
+
+  // Battery 1 -> bulb 2 -> switch 3 -> battery
+  function loop() {
+    const comps = [createComponent('battery', 0, 0, 1), createComponent('bulb', 180, 0, 2), createComponent('switch', 180, 120, 3)];
+    const wires = [wire(4, 1, 'pos', 2, 'left'), wire(5, 2, 'right', 3, 'right'), wire(6, 3, 'left', 1, 'neg')];
+    return {comps, wires};
+  }
+
+  test('node 0 is the battery − side, the rest count up in part order', () => {
+    const {comps, wires} = loop();
+    const nets = findNets(comps, wires);
+    assertDeepEqual([...nets], [['1:pos', 1], ['1:neg', 0], ['2:left', 1], ['2:right', 2], ['3:left', 0], ['3:right', 2]]);
+  });
+
+  test('a junction is one node, however many wires meet there', () => {
+    const comps = [createComponent('battery', 0, 0, 1), createComponent('wire_node', 240, 0, 2),
+                   createComponent('bulb', 360, 0, 3), createComponent('bulb', 360, 120, 4)];
+    const wires = [wire(5, 1, 'pos', 2, 'd'), wire(6, 2, 'b', 3, 'left'), wire(7, 2, 'c', 4, 'left'),
+                   wire(8, 3, 'right', 1, 'neg'), wire(9, 4, 'right', 1, 'neg')];
+    const nets = findNets(comps, wires);
+    assertEqual(nets.get('3:left'), nets.get('1:pos'));
+    assertEqual(nets.get('4:left'), nets.get('1:pos'));
+    assertEqual(nets.get('2:a'), nets.get('1:pos'), 'unwired junction arms too');
+    assertEqual(new Set(nets.values()).size, 2);
+  });
+
+  test('a netlist lists each part SPICE-style, switches as set', () => {
+    const {comps, wires} = loop();
+    assertEqual(makeNetlist(comps, wires, 'Torch\n  circuit'), [
+      'Torch circuit',
+      '* Node 0 is the negative side of V1',
+      'V1 1 0 DC 3 ; Battery 1',
+      'RL2 1 2 10 ; Bulb 2',
+      'S3 0 2 OFF ; Switch 3',
+      '.end', ''
+    ].join('\n'));
+    comps[2].state = true;
+    assert(makeNetlist(comps, wires).includes('S3 0 2 ON ; Switch 3'), 'closed switch');
+    assert(makeNetlist(comps, wires).startsWith('Circuit Lab circuit\n'), 'default title');
+  });
+
+  test('LEDs, resistors, two-ways and gates get their own lines; props are skipped', () => {
+    const led = createComponent('led', 0, 0, 1), res = createComponent('resistor', 0, 120, 2);
+    const sw = createComponent('two_way', 0, 240, 3), gate = createComponent('and_gate', 0, 420, 4);
+    res.value = 220;
+    const text = makeNetlist([led, res, sw, gate, createComponent('magnet', 300, 0, 5), createComponent('wire_node', 300, 120, 6)], []);
+    assert(text.includes('* No battery'), 'no ground to name');
+    assert(/^D1 0 1 LED ; LED 1$/m.test(text), 'LED');
+    assert(text.includes('.model LED D'), 'LED model');
+    assert(/^R2 2 3 220 ; Resistor 2$/m.test(text), 'resistor value');
+    assert(/^SW3A 4 5 ON ; Two-way 3, common to A$/m.test(text), 'throw A made');
+    assert(/^SW3B 4 6 OFF ; Two-way 3, common to B$/m.test(text), 'throw B open');
+    assert(/^SA4 9 10 OFF ; AND 4 gate, inputs on nodes 7 and 8$/m.test(text), 'gate contacts');
+    assert(!/^\S*5 /m.test(text) && !/^\S*6 /m.test(text), 'no magnet or junction lines');
+  });
+
+  test('a schematic draws standard symbols and a wire per wire', () => {
+    const {comps, wires} = loop();
+    const svg = makeSchematic(comps, wires);
+    assert(svg.startsWith('<svg xmlns="http://www.w3.org/2000/svg"'), 'standalone SVG');
+    assertEqual((svg.match(/<polyline points=/g) || []).length, 3);
+    assert(svg.includes('stroke-width="5"'), 'cell plates');
+    assert(svg.includes('<circle cx="60" cy="30" r="15"/>'), 'lamp circle');
+    assert(svg.includes('>V1 3V</text>') && svg.includes('>RL2</text>') && svg.includes('>S3</text>'), 'labels');
+    assert(!svg.includes('r="4" fill="#000"'), 'no junction dots');
+    assertEqual(makeSchematic([], []), null);
+  });
+
+  test('junction dots mark where three or more wires meet', () => {
+    const comps = [createComponent('battery', 0, 0, 1), createComponent('wire_node', 240, 0, 2),
+                   createComponent('bulb', 360, 0, 3), createComponent('bulb', 360, 120, 4)];
+    const wires = [wire(5, 1, 'pos', 2, 'd'), wire(6, 2, 'b', 3, 'left'), wire(7, 2, 'c', 4, 'left'),
+                   wire(8, 3, 'right', 1, 'neg'), wire(9, 4, 'right', 1, 'neg')];
+    const svg = makeSchematic(comps, wires);
+    assert(svg.includes('<circle cx="270" cy="30" r="4" fill="#000"/>'), 'dot on the junction');
+    assertEqual((svg.match(/r="4" fill="#000"/g) || []).length, 2, 'and one on the battery − with two wires');
+  });
+});
+
 describe('Switch Logic', () => {
   test('switch starts in OFF state', () => {
     const sw = createComponent('switch', 0, 0, 1);
@@ -589,6 +1460,318 @@ describe('Switch Logic', () => {
     const powered = checkPowered(components, wires);
     assert(powered.has(3), 'closed switch should complete circuit');
   });
+
+  test('two-way switch joins its common to one throw at a time', () => {
+    const tw = createComponent('two_way', 0, 0, 1);
+    assertEqual(tw.state, false);
+    const t = getTerminals(tw);
+    assertDeepEqual([t.com, t.a, t.b], [{x:0, y:60}, {x:120, y:30}, {x:120, y:90}]);
+    assertDeepEqual(getInternalConnections(tw, 'com'), ['a']);
+    assertDeepEqual(getInternalConnections(tw, 'b'), []);
+    tw.state = true;
+    assertDeepEqual(getInternalConnections(tw, 'com'), ['b']);
+  });
+
+  test('two-way switch picks which bulb lights', () => {
+    const components = [
+      createComponent('battery', 0, 0, 1),
+      createComponent('two_way', 120, 0, 2),
+      createComponent('bulb', 240, 0, 3),
+      createComponent('bulb', 240, 120, 4)
+    ];
+    const wires = [
+      {id: 1, from: {compId: 1, terminal: 'pos'}, to: {compId: 2, terminal: 'com'}},
+      {id: 2, from: {compId: 2, terminal: 'a'}, to: {compId: 3, terminal: 'left'}},
+      {id: 3, from: {compId: 2, terminal: 'b'}, to: {compId: 4, terminal: 'left'}},
+      {id: 4, from: {compId: 3, terminal: 'right'}, to: {compId: 1, terminal: 'neg'}},
+      {id: 5, from: {compId: 4, terminal: 'right'}, to: {compId: 1, terminal: 'neg'}}
+    ];
+    const lit = () => [3, 4].filter(id => checkPowered(components, wires).has(id));
+    assertDeepEqual(lit(), [3]);
+    components[1].state = true;
+    assertDeepEqual(lit(), [4]);
+    assert(findPath(components, wires, 1, 'pos', 4, 'left', new Set()), 'path follows the ON throw');
+  });
+});
+
+describe('LEDs, Resistors, Buttons and Cells', () => {
+  // Battery → parts in series → back to battery −
+  const loop = (...types) => {
+    const components = [createComponent('battery', 0, 0, 1)];
+    types.forEach((type, i) => components.push(createComponent(type, 120 * (i + 1), 0, i + 2)));
+    const wires = [];
+    let prev = {compId: 1, terminal: 'pos'};
+    for (const comp of components.slice(1)) {
+      const [first, second] = Object.keys(getTerminals(comp));
+      wires.push({id: 100 + wires.length, from: prev, to: {compId: comp.id, terminal: first}});
+      prev = {compId: comp.id, terminal: second};
+    }
+    wires.push({id: 100 + wires.length, from: prev, to: {compId: 1, terminal: 'neg'}});
+    return {components, wires};
+  };
+
+  test('LED lights when wired anode to +', () => {
+    const {components, wires} = loop('resistor', 'led');
+    const sol = solveCircuit(components, wires);
+    assert(checkPowered(components, wires).has(3), 'LED should light');
+    assert(Math.abs(sol.currents.get(3) - 0.008) < 1e-3, `about 8 mA, got ${sol.currents.get(3)}`);
+  });
+
+  test('LED stays dark when reversed', () => {
+    const {components, wires} = loop('resistor', 'led');
+    const w = wires.find(w => w.to.compId === 3);
+    w.to.terminal = 'cathode';
+    wires.find(w => w.from.compId === 3).from.terminal = 'anode';
+    assert(!checkPowered(components, wires).has(3), 'reversed LED should not light');
+  });
+
+  test('two LEDs in series need more cells', () => {
+    const {components, wires} = loop('led', 'led');
+    assert(!checkPowered(components, wires).has(2), '3V cannot cover two 2V drops');
+    components[0].value = 4;
+    assert(checkPowered(components, wires).has(2), '6V lights both');
+    assert(checkPowered(components, wires).has(3), '6V lights both');
+  });
+
+  test('bigger resistor means less current', () => {
+    const {components, wires} = loop('resistor', 'bulb');
+    const before = solveCircuit(components, wires).currents.get(3);
+    components[1].value = 1000;
+    const after = solveCircuit(components, wires).currents.get(3);
+    assert(after < before / 5, `current should drop: ${before} → ${after}`);
+  });
+
+  test('push-button only conducts while pressed', () => {
+    const {components, wires} = loop('button', 'bulb');
+    assert(!checkPowered(components, wires).has(3), 'released button is open');
+    assert(!findPath(components, wires, 1, 'pos', 1, 'neg', new Set()), 'no path while released');
+    components[1].pressed = true;
+    assert(checkPowered(components, wires).has(3), 'pressed button closes the loop');
+    assert(findPath(components, wires, 1, 'pos', 1, 'neg', new Set()), 'path while pressed');
+  });
+
+  test('more cells drive more current', () => {
+    const {components, wires} = loop('bulb');
+    components[0].value = 1;
+    const one = solveCircuit(components, wires).currents.get(2);
+    components[0].value = 4;
+    const four = solveCircuit(components, wires).currents.get(2);
+    assert(Math.abs(four / one - 4) < 0.01, `current scales with cells: ${one} → ${four}`);
+  });
+
+  test('values survive save and share links', () => {
+    const {components, wires} = loop('resistor', 'led');
+    components[0].value = 3;
+    components[1].value = 470;
+    const loaded = deserializeCircuit(serializeCircuit(components, wires));
+    assertEqual(loaded.components[0].value, 3);
+    assertEqual(loaded.components[1].value, 470);
+    const unpacked = unpackCircuit(packCircuit(components, wires));
+    assertEqual(unpacked.components[0].value, 3);
+    assertEqual(unpacked.components[1].value, 470);
+    assertEqual(unpacked.components[2].value, undefined, 'LEDs have no value');
+  });
+
+  test('rejects values a part does not offer', () => {
+    const {components, wires} = loop('resistor');
+    components[1].value = 123;
+    let error = null;
+    try { deserializeCircuit(serializeCircuit(components, wires)); } catch (e) { error = e; }
+    assert(error && /bad value 123/.test(error.message), `expected bad value, got ${error && error.message}`);
+  });
+});
+
+describe('Sensors and Gates', () => {
+  const link = (id, c1, t1, c2, t2) => ({id, from:{compId:c1, terminal:t1}, to:{compId:c2, terminal:t2}});
+
+  // Battery 1 → switch 2 → bulb 3, and a second loop: battery 4 → sensor 5 → buzzer 6
+  const lightScene = sensorAt => {
+    const components = [
+      createComponent('battery', 0, 0, 1), createComponent('switch', 120, 0, 2, true), createComponent('bulb', 240, 0, 3),
+      createComponent('battery', 0, 300, 4), createComponent('light_sensor', sensorAt.x, sensorAt.y, 5),
+      createComponent('buzzer', 480, 300, 6)
+    ];
+    const wires = [
+      link(10, 1, 'pos', 2, 'left'), link(11, 2, 'right', 3, 'left'), link(12, 3, 'right', 1, 'neg'),
+      link(13, 4, 'pos', 5, 'left'), link(14, 5, 'right', 6, 'left'), link(15, 6, 'right', 4, 'neg')
+    ];
+    return {components, wires};
+  };
+
+  test('light sensor closes next to a lit bulb', () => {
+    const {components, wires} = lightScene({x:240, y:60});
+    const sol = solveCircuit(components, wires);
+    assert(sol.closed.has(5), 'sensor should be closed');
+    assert(sol.powered.has(6), 'buzzer should sound');
+    assert(sol.settled, 'should settle');
+  });
+
+  test('light sensor stays open when the bulb is off or far away', () => {
+    const near = lightScene({x:240, y:60});
+    near.components[1].state = false;
+    assert(!checkPowered(near.components, near.wires).has(6), 'bulb off → buzzer quiet');
+    const far = lightScene({x:720, y:600});
+    assert(!checkPowered(far.components, far.wires).has(6), 'bulb too far → buzzer quiet');
+  });
+
+  test('sensors chain through several re-solves', () => {
+    // Bulb 3 lights sensor 5, which lights bulb 6, which lights sensor 8 → buzzer 9
+    const components = [
+      createComponent('battery', 0, 0, 1), createComponent('switch', 120, 0, 2, true), createComponent('bulb', 240, 0, 3),
+      createComponent('battery', 0, 300, 4), createComponent('light_sensor', 240, 60, 5), createComponent('bulb', 480, 300, 6),
+      createComponent('battery', 0, 600, 7), createComponent('light_sensor', 480, 420, 8), createComponent('buzzer', 240, 600, 9)
+    ];
+    const wires = [
+      link(10, 1, 'pos', 2, 'left'), link(11, 2, 'right', 3, 'left'), link(12, 3, 'right', 1, 'neg'),
+      link(13, 4, 'pos', 5, 'left'), link(14, 5, 'right', 6, 'left'), link(15, 6, 'right', 4, 'neg'),
+      link(16, 7, 'pos', 8, 'left'), link(17, 8, 'right', 9, 'left'), link(18, 9, 'right', 7, 'neg')
+    ];
+    const sol = solveCircuit(components, wires);
+    assert(sol.powered.has(9), 'buzzer at the end of the chain should sound');
+    assert(sol.settled);
+  });
+
+  test('reed switch follows the magnet', () => {
+    const components = [
+      createComponent('battery', 0, 0, 1), createComponent('reed_switch', 120, 0, 2),
+      createComponent('bulb', 240, 0, 3), createComponent('magnet', 600, 300, 4)
+    ];
+    const wires = [link(10, 1, 'pos', 2, 'left'), link(11, 2, 'right', 3, 'left'), link(12, 3, 'right', 1, 'neg')];
+    assert(!checkPowered(components, wires).has(3), 'magnet far away → open');
+    assert(!findPath(components, wires, 1, 'pos', 1, 'neg', new Set()), 'no path while open');
+    components[3].x = 180; components[3].y = 60;
+    assert(checkPowered(components, wires).has(3), 'magnet close → closed');
+    assert(findPath(components, wires, 1, 'pos', 1, 'neg', new Set()), 'path while closed');
+  });
+
+  test('magnet is a prop with no terminals', () => {
+    const magnet = createComponent('magnet', 60, 60, 1);
+    assertDeepEqual(getTerminals(magnet), {});
+    assertEqual(solveCircuit([magnet], []).powered.size, 0);
+  });
+
+  test('gate inputs sit down the left, contacts down the right', () => {
+    const gate = createComponent('and_gate', 120, 120, 1);
+    const t = getTerminals(gate);
+    assertDeepEqual(t.a, {x:120, y:150});
+    assertDeepEqual(t.b, {x:120, y:210});
+    assertDeepEqual(t.in, {x:240, y:150});
+    assertDeepEqual(t.out, {x:240, y:210});
+    assertDeepEqual(getInternalConnections(gate, 'in'), ['out']);
+    assertDeepEqual(getInternalConnections(gate, 'a'), []);
+  });
+
+  // Switches 2 and 3 feed inputs a and b from battery +; the gate switches bulb 5
+  const gateScene = (type, a, b) => {
+    const components = [
+      createComponent('battery', 0, 240, 1), createComponent('switch', 0, 0, 2, a), createComponent('switch', 0, 120, 3, b),
+      createComponent(type, 240, 0, 4), createComponent('bulb', 480, 240, 5)
+    ];
+    const wires = [
+      link(10, 1, 'pos', 2, 'left'), link(11, 2, 'right', 4, 'a'),
+      link(12, 1, 'pos', 3, 'left'), link(13, 3, 'right', 4, 'b'),
+      link(14, 1, 'pos', 4, 'in'), link(15, 4, 'out', 5, 'left'), link(16, 5, 'right', 1, 'neg')
+    ];
+    return {components, wires};
+  };
+  const lit = ({components, wires}) => checkPowered(components, wires).has(5);
+
+  test('AND gate needs both inputs on', () => {
+    assert(!lit(gateScene('and_gate', false, false)), 'off, off');
+    assert(!lit(gateScene('and_gate', true, false)), 'on, off');
+    assert(!lit(gateScene('and_gate', false, true)), 'off, on');
+    assert(lit(gateScene('and_gate', true, true)), 'on, on');
+  });
+
+  test('OR gate needs either input on', () => {
+    assert(!lit(gateScene('or_gate', false, false)), 'off, off');
+    assert(lit(gateScene('or_gate', true, false)), 'on, off');
+    assert(lit(gateScene('or_gate', false, true)), 'off, on');
+    assert(lit(gateScene('or_gate', true, true)), 'on, on');
+  });
+
+  test('new parts survive share links', () => {
+    const {components, wires} = gateScene('or_gate', true, false);
+    components.push(createComponent('magnet', 600, 0, 6), createComponent('reed_switch', 600, 120, 7),
+                    createComponent('light_sensor', 600, 240, 8));
+    const doc = deserializeCircuit(unpackCircuit(packCircuit(components, wires)));
+    assertDeepEqual(doc.components.map(c => c.type), components.map(c => c.type));
+    assert(lit(doc), 'gate circuit still works after the round trip');
+  });
+});
+
+describe('Multimeter', () => {
+  const link = (id, c1, t1, c2, t2) => ({id, from:{compId:c1, terminal:t1}, to:{compId:c2, terminal:t2}});
+  const probe = (compId, terminal) => ({compId, terminal});
+  const near = (actual, expected, message) =>
+    assert(Math.abs(actual - expected) < 1e-6, `${message}: expected ${expected}, got ${actual}`);
+
+  // Battery 1 → switch 2 → bulb 3 → back
+  const loop = on => ({
+    components: [createComponent('battery', 0, 0, 1), createComponent('switch', 120, 0, 2, on), createComponent('bulb', 240, 0, 3)],
+    wires: [link(10, 1, 'pos', 2, 'left'), link(11, 2, 'right', 3, 'left'), link(12, 3, 'right', 1, 'neg')]
+  });
+
+  test('reads the voltage across a part, signed red minus black', () => {
+    const {components, wires} = loop(true);
+    const sol = solveCircuit(components, wires);
+    near(measureVoltage(sol, probe(3, 'left'), probe(3, 'right')), 30 / 10.1, 'across the bulb');
+    near(measureVoltage(sol, probe(3, 'right'), probe(3, 'left')), -30 / 10.1, 'probes swapped');
+  });
+
+  test('an open switch shows the whole battery across it', () => {
+    const {components, wires} = loop(false);
+    const sol = solveCircuit(components, wires);
+    near(measureVoltage(sol, probe(2, 'left'), probe(2, 'right')), 3, 'across the open switch');
+  });
+
+  test('no reading between separate circuits', () => {
+    const {components, wires} = loop(true);
+    components.push(createComponent('bulb', 600, 600, 4));
+    assertEqual(measureVoltage(solveCircuit(components, wires), probe(4, 'left'), probe(1, 'neg')), null);
+  });
+
+  test('reads current through a wire or a part', () => {
+    const {components, wires} = loop(true);
+    const sol = solveCircuit(components, wires);
+    near(measureCurrent(sol, {wireId:11}), 3 / 10.1, 'wire into the bulb');
+    near(measureCurrent(sol, {compId:3}), 3 / 10.1, 'bulb');
+    const open = loop(false);
+    near(measureCurrent(solveCircuit(open.components, open.wires), {compId:3}), 0, 'switch open');
+  });
+
+  test('resistance adds in series and divides in parallel', () => {
+    const components = [createComponent('bulb', 0, 0, 1), createComponent('bulb', 240, 0, 2)];
+    near(measureResistance(components, [], probe(1, 'left'), probe(1, 'right')), 10, 'one bulb');
+    const series = [link(10, 1, 'right', 2, 'left')];
+    near(measureResistance(components, series, probe(1, 'left'), probe(2, 'right')), 20, 'series');
+    const parallel = [link(10, 1, 'left', 2, 'left'), link(11, 1, 'right', 2, 'right')];
+    near(measureResistance(components, parallel, probe(1, 'left'), probe(1, 'right')), 5, 'parallel');
+  });
+
+  test('continuity follows switches and ignores batteries', () => {
+    const open = loop(false), shut = loop(true);
+    assertEqual(measureResistance(open.components, open.wires, probe(2, 'left'), probe(2, 'right')), Infinity);
+    assertEqual(measureResistance(shut.components, shut.wires, probe(2, 'left'), probe(2, 'right')), 0);
+    near(measureResistance(shut.components, shut.wires, probe(1, 'pos'), probe(1, 'neg')), 10, 'round the loop through the bulb');
+    assert(measureResistance(shut.components, shut.wires, probe(3, 'left'), probe(3, 'right')) <= CONTINUITY_OHMS, 'bulb beeps');
+  });
+
+  test('LEDs and big resistors do not beep', () => {
+    const components = [createComponent('led', 0, 0, 1), createComponent('resistor', 240, 0, 2)];
+    components[1].value = 1000;
+    assertEqual(measureResistance(components, [], probe(1, 'anode'), probe(1, 'cathode')), Infinity);
+    assert(measureResistance(components, [], probe(2, 'left'), probe(2, 'right')) > CONTINUITY_OHMS, 'resistor stays quiet');
+  });
+
+  test('reuses the closed switches of a solve the caller already has', () => {
+    const open = loop(false), shut = loop(true);
+    const shutClosed = solveCircuit(shut.components, shut.wires).closed;
+    assertEqual(measureResistance(open.components, open.wires, probe(2, 'left'), probe(2, 'right'), shutClosed), 0, 'taken as given');
+    const visited = new Set();
+    assert(findPath(open.components, open.wires, 1, 'pos', 3, 'left', visited, shutClosed), 'findPath too');
+    assert(!findPath(open.components, open.wires, 1, 'pos', 3, 'left', new Set()), 'and still solves when not given one');
+  });
 });
 
 describe('Challenge Validation', () => {
@@ -601,7 +1784,7 @@ describe('Challenge Validation', () => {
       {id: 1, from: {compId: 1, terminal: 'pos'}, to: {compId: 2, terminal: 'left'}},
       {id: 2, from: {compId: 2, terminal: 'right'}, to: {compId: 1, terminal: 'neg'}}
     ];
-    assert(CHALLENGES[0].require(components, wires), 'Challenge 1 should pass');
+    assert(evaluateChallenge(challenge(1), components, wires).passed, 'Challenge 1 should pass');
   });
   
   test('Challenge 1: fails without complete loop', () => {
@@ -612,7 +1795,7 @@ describe('Challenge Validation', () => {
     const wires = [
       {id: 1, from: {compId: 1, terminal: 'pos'}, to: {compId: 2, terminal: 'left'}}
     ];
-    assert(!CHALLENGES[0].require(components, wires), 'Challenge 1 should fail without loop');
+    assert(!evaluateChallenge(challenge(1), components, wires).passed, 'Challenge 1 should fail without loop');
   });
   
   test('Challenge 5: needs 2 powered bulbs', () => {
@@ -626,7 +1809,7 @@ describe('Challenge Validation', () => {
       {id: 2, from: {compId: 2, terminal: 'right'}, to: {compId: 3, terminal: 'left'}},
       {id: 3, from: {compId: 3, terminal: 'right'}, to: {compId: 1, terminal: 'neg'}}
     ];
-    assert(CHALLENGES[1].require(components, wires), 'Challenge 5 should pass with 2 bulbs');
+    assert(evaluateChallenge(challenge(5), components, wires).passed, 'Challenge 5 should pass with 2 bulbs');
   });
   
   test('Challenge 8: needs bulb+motor+buzzer all powered', () => {
@@ -642,7 +1825,7 @@ describe('Challenge Validation', () => {
       {id: 3, from: {compId: 3, terminal: 'right'}, to: {compId: 4, terminal: 'left'}},
       {id: 4, from: {compId: 4, terminal: 'right'}, to: {compId: 1, terminal: 'neg'}}
     ];
-    assert(CHALLENGES[2].require(components, wires), 'Challenge 8 should pass');
+    assert(evaluateChallenge(challenge(8), components, wires).passed, 'Challenge 8 should pass');
   });
   
   test('Challenge 8: fails without all three', () => {
@@ -656,7 +1839,314 @@ describe('Challenge Validation', () => {
       {id: 2, from: {compId: 2, terminal: 'right'}, to: {compId: 3, terminal: 'left'}},
       {id: 3, from: {compId: 3, terminal: 'right'}, to: {compId: 1, terminal: 'neg'}}
     ];
-    assert(!CHALLENGES[2].require(components, wires), 'Challenge 8 should fail without buzzer');
+    assert(!evaluateChallenge(challenge(8), components, wires).passed, 'Challenge 8 should fail without buzzer');
+  });
+});
+
+describe('Challenge Format', () => {
+  const link = (id, c1, t1, c2, t2) => ({id, from:{compId:c1, terminal:t1}, to:{compId:c2, terminal:t2}});
+  // Battery 1 → switch 2 → motor 3 → back
+  const switched = on => ({
+    components: [createComponent('battery', 0, 0, 1), createComponent('switch', 120, 0, 2, on), createComponent('motor', 240, 0, 3)],
+    wires: [link(10, 1, 'pos', 2, 'left'), link(11, 2, 'right', 3, 'left'), link(12, 3, 'right', 1, 'neg')]
+  });
+  const errorOf = fn => { try { fn(); } catch (e) { return e.message; } return null; };
+
+  test('built-in challenges are plain JSON and parse cleanly', () => {
+    for (const ch of CHALLENGES) {
+      const copy = JSON.parse(JSON.stringify(ch));
+      assertDeepEqual(parseChallenge(copy), ch, `challenge ${ch.id}`);
+    }
+  });
+
+  test('lists every problem with a bad challenge', () => {
+    const message = errorOf(() => parseChallenge({
+      id:'x', title:'', palette:['bulb', 'laser'], maxComponents:0,
+      starter:{format:'nope'}, goals:[{goal:'teleport'}, {goal:'powered', part:'toaster', count:-1}]
+    }));
+    assert(message, 'should throw');
+    for (const bit of ['missing title', 'unknown part "laser"', 'maxComponents', 'starter:', 'unknown goal "teleport"',
+                       'unknown part "toaster"', 'bad count -1']) {
+      assert(message.includes(bit), `expected "${bit}" in: ${message}`);
+    }
+    assert(/needs at least one goal/.test(errorOf(() => parseChallenge({id:1, title:'Empty', goals:[]}))));
+  });
+
+  test('keeps a valid starter circuit and drops unknown goal fields', () => {
+    const {components, wires} = switched(false);
+    const ch = parseChallenge({
+      id:'custom-1', title:' Motor switch ', palette:['switch', 'motor'], maxComponents:4,
+      starter:serializeCircuit(components, wires, 20),
+      goals:[{goal:'onlyWhen', part:'motor', switch:2, note:'ignored'}]
+    });
+    assertEqual(ch.title, 'Motor switch');
+    assertDeepEqual(ch.goals, [{goal:'onlyWhen', part:'motor', switch:2}]);
+    assertEqual(deserializeCircuit(ch.starter).components.length, 3);
+  });
+
+  test('goals read as sentences', () => {
+    const text = g => CHALLENGE_GOALS[g.goal].describe(g);
+    assertEqual(text({goal:'powered', part:'bulb', count:2}), 'Power 2 bulbs');
+    assertEqual(text({goal:'powered', part:'led'}), 'Power an LED');
+    assertEqual(text({goal:'placed', part:'switch'}), 'Use a switch');
+    assertEqual(text({goal:'onlyWhen', part:'motor'}), 'The motor works only when the switch is ON');
+  });
+
+  test('onlyWhen needs the switch to really control the part', () => {
+    const ch = {goals:[{goal:'onlyWhen', part:'motor'}]};
+    const {components, wires} = switched(true);
+    assert(evaluateChallenge(ch, components, wires).passed, 'switch in the loop controls the motor');
+    // Bypass the switch with a wire: the motor runs either way
+    wires.push(link(13, 2, 'left', 2, 'right'));
+    assert(!evaluateChallenge(ch, components, wires).passed, 'bypassed switch does not');
+    const fresh = switched(true);
+    assert(!evaluateChallenge({goals:[{goal:'onlyWhen', part:'motor', switch:99}]}, fresh.components, fresh.wires).passed,
+           'named switch must exist');
+  });
+
+  // Battery 1 → switches 2 and 3 (in series or side by side) → bulb 4 → back
+  const twoSwitches = parallel => {
+    const components = [createComponent('battery', 0, 0, 1), createComponent('switch', 120, 0, 2),
+                        createComponent('switch', 120, 120, 3), createComponent('bulb', 240, 0, 4)];
+    const wires = parallel
+      ? [link(10, 1, 'pos', 2, 'left'), link(11, 1, 'pos', 3, 'left'), link(12, 2, 'right', 4, 'left'),
+         link(13, 3, 'right', 4, 'left'), link(14, 4, 'right', 1, 'neg')]
+      : [link(10, 1, 'pos', 2, 'left'), link(11, 2, 'right', 3, 'left'), link(12, 3, 'right', 4, 'left'),
+         link(14, 4, 'right', 1, 'neg')];
+    return {components, wires};
+  };
+  // Battery 1 → two-way 2 ⇉ two-way 3 → bulb 4 → back: the classic staircase
+  const staircase = () => ({
+    components: [createComponent('battery', 0, 0, 1), createComponent('two_way', 120, 0, 2),
+                 createComponent('two_way', 300, 0, 3), createComponent('bulb', 480, 0, 4)],
+    wires: [link(10, 1, 'pos', 2, 'com'), link(11, 2, 'a', 3, 'a'), link(12, 2, 'b', 3, 'b'),
+            link(13, 3, 'com', 4, 'left'), link(14, 4, 'right', 1, 'neg')]
+  });
+  const check = (goal, {components, wires}) => evaluateChallenge({goals:[goal]}, components, wires).results[0];
+
+  test('switch goals try every switch position', () => {
+    const any = {goal:'switches', part:'bulb', rule:'any', count:2};
+    const all = {goal:'switches', part:'bulb', rule:'all', count:2};
+    assert(check(any, twoSwitches(true)).ok, 'side by side: either switch lights it');
+    assert(check(all, twoSwitches(false)).ok, 'in series: both must be ON');
+    assertEqual(check(any, twoSwitches(false)).detail, 'With switch A ON and switch B OFF the bulb should be on');
+    assertEqual(check(all, twoSwitches(true)).detail, 'With switch A ON and switch B OFF the bulb should be off');
+  });
+
+  test('staircase switching works either way up', () => {
+    const goal = {goal:'switches', part:'bulb', rule:'toggle', count:2};
+    const stairs = staircase();
+    assert(check(goal, stairs).ok, 'every flip changes the light');
+    stairs.wires.splice(2, 1); // lose one of the two runs between the switches
+    assertEqual(check(goal, stairs).detail, 'With switch A ON and switch B ON the bulb should be on');
+    assert(!check(goal, twoSwitches(true)).ok, 'plain switches cannot do it');
+  });
+
+  test('switch goals say what is missing', () => {
+    const {components, wires} = switched(true);
+    assertEqual(check({goal:'switches', part:'motor', rule:'any', count:2}, {components, wires}).detail, 'Use 2 switches');
+    wires.push(link(13, 2, 'left', 2, 'right'));
+    assertEqual(check({goal:'switches', part:'motor', rule:'all'}, {components, wires}).detail,
+                'With switch A OFF the motor should be off');
+    assertEqual(check({goal:'onlyWhen', part:'motor'}, {components, wires}).detail,
+                'With switch A OFF the motor should be off');
+    assert(/no switch/.test(check({goal:'onlyWhen', part:'motor'}, {components:components.slice(0, 1), wires:[]}).detail));
+  });
+
+  test('switch goals read as sentences and need a known rule', () => {
+    const text = g => CHALLENGE_GOALS[g.goal].describe(g);
+    assertEqual(text({goal:'switches', part:'bulb', rule:'all'}), 'The bulb is on only when every switch is ON');
+    assertEqual(text({goal:'switches', part:'bulb', rule:'toggle', count:2}), 'Every switch flips the bulb on and off (use 2)');
+    const message = errorOf(() => parseChallenge({id:1, title:'T', goals:[{goal:'switches', part:'bulb', rule:'xor'}]}));
+    assert(/needs rule to be one of all, any, toggle/.test(message), message);
+  });
+
+  test('Switch Control needs the switch to do something', () => {
+    const {components, wires} = switched(true);
+    assert(evaluateChallenge(challenge(7), components, wires).passed, 'switch controls the motor');
+    wires.push(link(13, 2, 'left', 2, 'right'));
+    assert(!evaluateChallenge(challenge(7), components, wires).passed, 'bypassed switch does not');
+  });
+
+  test('noShort and the part limit show up as results', () => {
+    const ch = {maxComponents:2, goals:[{goal:'powered', part:'motor'}, {goal:'noShort'}]};
+    const {components, wires} = switched(true);
+    const result = evaluateChallenge(ch, components, wires);
+    assertDeepEqual(result.results.map(r => r.ok), [true, true, false]);
+    assertEqual(result.results[2].text, 'Use at most 2 parts');
+    assert(!result.passed);
+    wires.push(link(13, 1, 'pos', 1, 'neg'));
+    assert(!evaluateChallenge(ch, components, wires).results[1].ok, 'shorted battery fails noShort');
+  });
+});
+
+describe('Star Scoring', () => {
+  const link = (id, c1, t1, c2, t2) => ({id, from:{compId:c1, terminal:t1}, to:{compId:c2, terminal:t2}});
+  // Battery 1 → bulb 2 → back: the par solution to challenge 1
+  const loop = () => ({
+    components: [createComponent('battery', 0, 0, 1), createComponent('bulb', 120, 0, 2)],
+    wires: [link(10, 1, 'pos', 2, 'left'), link(11, 2, 'right', 1, 'neg')]
+  });
+  const missed = score => score.criteria.filter(c => !c.ok).map(c => c.id);
+
+  test('the same solution always scores the same', () => {
+    const {components, wires} = loop();
+    const first = scoreChallenge(challenge(1), components, wires, 30);
+    for (let i = 0; i < 5; i++) assertDeepEqual(scoreChallenge(challenge(1), components, wires, 30), first);
+    assertEqual(first.stars, 3);
+    assertDeepEqual(first.criteria.map(c => c.id), ['parts', 'wires', 'noShort', 'noUnused', 'time']);
+  });
+
+  test('each missed criterion is named', () => {
+    const {components, wires} = loop();
+    components.push(createComponent('motor', 0, 120, 3)); // lying around, not wired in
+    wires.push(link(12, 1, 'pos', 2, 'left'));            // a spare wire
+    const score = scoreChallenge(challenge(1), components, wires, 30);
+    assertDeepEqual(missed(score), ['parts', 'wires', 'noUnused']);
+    assertEqual(score.stars, 1);
+    assertEqual(score.criteria[0].actual, 'you used 3');
+    assertEqual(score.criteria[0].text, 'Use 2 parts or fewer');
+  });
+
+  test('half the bonuses earn a second star', () => {
+    const {components, wires} = loop();
+    wires.push(link(12, 1, 'pos', 2, 'left'));
+    const score = scoreChallenge(challenge(1), components, wires, 600);
+    assertDeepEqual(missed(score), ['wires', 'time']);
+    assertEqual(score.stars, 2);
+    assertEqual(score.criteria[4].actual, 'you took 10:00');
+  });
+
+  test('challenges without a par skip the part and wire criteria', () => {
+    const {components, wires} = loop();
+    const score = scoreChallenge({goals:[{goal:'powered', part:'bulb'}]}, components, wires, 200);
+    assertDeepEqual(score.criteria.map(c => c.id), ['noShort', 'noUnused', 'time']);
+    assertEqual(score.criteria[2].text, 'Finish within 2:00');
+    assertEqual(score.stars, 2);
+  });
+
+  test('unused parts are the ones not wired in at both ends', () => {
+    const components = [createComponent('battery', 0, 0, 1), createComponent('bulb', 120, 0, 2),
+                        createComponent('magnet', 0, 120, 3), createComponent('wire_node', 240, 0, 4)];
+    const wires = [link(10, 1, 'pos', 2, 'left'), link(11, 2, 'right', 4, 'a')];
+    assertDeepEqual(findUnusedParts(components, wires), [1, 4]);
+    assertEqual(formatDuration(65.4), '1:05');
+  });
+
+  test('par is checked and kept by parseChallenge', () => {
+    const ch = parseChallenge({id:1, title:'T', par:{parts:3, seconds:90, extra:1}, goals:[{goal:'noShort'}]});
+    assertDeepEqual(ch.par, {parts:3, seconds:90});
+    let message = null;
+    try { parseChallenge({id:1, title:'T', par:{wires:0}, goals:[{goal:'noShort'}]}); } catch (e) { message = e.message; }
+    assert(/par wires/.test(message), message);
+  });
+});
+
+describe('Hints', () => {
+  const link = (id, c1, t1, c2, t2) => ({id, from:{compId:c1, terminal:t1}, to:{compId:c2, terminal:t2}});
+  const bulbGoal = {goals:[{goal:'powered', part:'bulb'}]};
+  const first = (ch, components, wires) => diagnoseCircuit(ch, components, wires)[0];
+  // Battery 1, bulb 2, switch 3
+  const parts = () => [createComponent('battery', 0, 0, 1), createComponent('bulb', 240, 0, 2), createComponent('switch', 240, 120, 3)];
+
+  test('names terminals by where they sit on screen', () => {
+    const bulb = createComponent('bulb', 0, 0, 1);
+    assertEqual(sideName(bulb, 'right'), 'right side');
+    bulb.rotation = 90;
+    assertEqual(sideName(bulb, 'right'), 'bottom side');
+    assertEqual(sideName(createComponent('led', 0, 0, 2), 'cathode'), '− side');
+    assertEqual(sideName(createComponent('and_gate', 0, 0, 3), 'b'), 'input B');
+  });
+
+  test('points at a terminal with nothing on it', () => {
+    const hint = first(bulbGoal, parts().slice(0, 2), [link(10, 1, 'pos', 2, 'left')]);
+    assertEqual(hint.steps[1], "Your bulb's right side isn't connected to anything");
+    assertDeepEqual(hint.highlight.terminals, [{compId:2, terminal:'right'}]);
+  });
+
+  test('follows the loop to where it stops', () => {
+    const hint = first(bulbGoal, parts(), [link(10, 1, 'pos', 2, 'left'), link(11, 2, 'right', 3, 'left')]);
+    assertEqual(hint.steps[1], "The loop never comes back to the battery's − side");
+    assert(hint.steps[2].endsWith("the wires stop at the switch's right side"), hint.steps[2]);
+    assertDeepEqual(hint.highlight.terminals, [{compId:1, terminal:'neg'}, {compId:3, terminal:'right'}]);
+  });
+
+  test('notices an OFF switch', () => {
+    const wires = [link(10, 1, 'pos', 2, 'left'), link(11, 2, 'right', 3, 'left'), link(12, 3, 'right', 1, 'neg')];
+    const hint = first(bulbGoal, parts(), wires);
+    assertEqual(hint.steps[1], 'A switch in the loop is OFF');
+    assertDeepEqual(hint.highlight.comps, [3]);
+    const components = parts();
+    components[2].state = true;
+    assertEqual(diagnoseCircuit(bulbGoal, components, wires).length, 0, 'nothing to say once it works');
+  });
+
+  test('finds the wire that shorts the battery', () => {
+    const wires = [link(10, 1, 'pos', 2, 'left'), link(11, 2, 'right', 1, 'neg'), link(12, 1, 'pos', 1, 'neg')];
+    const hint = first(bulbGoal, parts().slice(0, 2), wires);
+    assertEqual(hint.id, 'short');
+    assertDeepEqual(hint.highlight.wires, [12]);
+  });
+
+  test('spots a reversed LED and missing parts', () => {
+    const components = [createComponent('battery', 0, 0, 1), createComponent('led', 240, 0, 2)];
+    const wires = [link(10, 1, 'pos', 2, 'cathode'), link(11, 2, 'anode', 1, 'neg')];
+    assertEqual(first({goals:[{goal:'powered', part:'led'}]}, components, wires).steps[1], 'Your LED is the wrong way round');
+    assertEqual(first(challenge(5), components, wires).steps[1], 'You need 2 bulbs - drag them in from the toolbar');
+    assertEqual(first(bulbGoal, [], []).id, 'no-battery');
+  });
+
+  test('switch goals pass on the case that failed', () => {
+    const components = parts();
+    const wires = [link(10, 1, 'pos', 2, 'left'), link(11, 2, 'right', 1, 'neg'), link(12, 3, 'left', 3, 'right')];
+    const hint = first({goals:[{goal:'switches', part:'bulb', rule:'all'}]}, components, wires);
+    assertEqual(hint.steps[1], 'With switch A OFF the bulb should be off');
+    assertDeepEqual(hint.highlight.comps, [3]);
+  });
+});
+
+describe('Tutorials', () => {
+  const link = (id, c1, t1, c2, t2) => ({id, from:{compId:c1, terminal:t1}, to:{compId:c2, terminal:t2}});
+  const lesson = id => LESSONS.find(l => l.id === id);
+
+  test('built-in lessons parse cleanly', () => {
+    for (const l of LESSONS) assertDeepEqual(parseLesson(JSON.parse(JSON.stringify(l))), l, l.id);
+  });
+
+  test('lists every problem with a bad lesson', () => {
+    let message = null;
+    try {
+      parseLesson({id:'x', title:'X', steps:[{say:'', wait:{for:'dance'}}, {say:'Hi', point:{tool:'laser'}, wait:{for:'wired', from:{part:'bulb'}}}]});
+    } catch (e) { message = e.message; }
+    for (const bit of ['step #1 has nothing to say', 'unknown "dance"', 'unknown part "laser"', 'step #2 needs from and to']) {
+      assert(message.includes(bit), `expected "${bit}" in: ${message}`);
+    }
+  });
+
+  test('wires count as joined through junctions, in either direction', () => {
+    const components = [createComponent('battery', 0, 0, 1), createComponent('wire_node', 120, 0, 2), createComponent('bulb', 240, 0, 3)];
+    const wires = [link(10, 2, 'a', 1, 'pos'), link(11, 2, 'c', 3, 'left')];
+    assert(isJoined(components, wires, {part:'battery', terminal:'pos'}, {part:'bulb'}));
+    assert(isJoined(components, wires, {part:'bulb'}, {part:'battery'}));
+    assert(!isJoined(components, wires, {part:'battery', terminal:'neg'}, {part:'bulb'}));
+  });
+
+  test('the switches lesson steps along as the circuit is built', () => {
+    const steps = lesson('switches').steps;
+    const {components, wires} = deserializeCircuit(lesson('switches').starter);
+    const reached = () => { let i = 0; while (i < steps.length - 1 && isStepDone(steps[i], components, wires)) i++; return i; };
+    assertEqual(reached(), 0);
+    components.push(createComponent('switch', 420, 300, 4));
+    assertEqual(reached(), 1);
+    wires.push(link(5, 2, 'right', 4, 'left'));
+    assertEqual(reached(), 2);
+    wires.push(link(6, 4, 'right', 1, 'neg'));
+    assertEqual(reached(), 3, 'waits for the tap');
+    components[2].state = true;
+    assertEqual(reached(), 4, 'then for the switch to go OFF again');
+    components[2].state = false;
+    assertEqual(reached(), 3, 'OFF alone does not count as the ON step');
+    assert(!isStepDone(steps[5], components, wires), 'the last step waits for Next');
   });
 });
 
@@ -715,6 +2205,53 @@ describe('Edge Cases', () => {
   });
 });
 
+describe('Junctions (wire_node)', () => {
+  test('junction has a compact one-cell footprint', () => {
+    const node = createComponent('wire_node', 240, 60, 1);
+    assertDeepEqual(getCompBox(node), {x: 240, y: 60, w: 60, h: 60});
+    assertDeepEqual(getTerminals(node), {
+      a: {x: 270, y: 60}, b: {x: 300, y: 90}, c: {x: 270, y: 120}, d: {x: 240, y: 90}
+    });
+  });
+
+  test('middle of a junction grabs the body, not a terminal', () => {
+    const components = [createComponent('wire_node', 240, 60, 1)];
+    assertEqual(hitTerminal(components, 270, 90), null);
+    assertEqual(hitComponent(components, 270, 90), 1);
+    assertDeepEqual(hitTerminal(components, 296, 90), {compId: 1, terminal: 'b'});
+  });
+
+  test('splitWire puts a junction on the wire and joins both halves to it', () => {
+    const components = [createComponent('battery', 60, 60, 1), createComponent('bulb', 360, 60, 2)];
+    const wire = {id: 3, from: {compId: 1, terminal: 'pos'}, to: {compId: 2, terminal: 'left'}};
+    const {node, halves, terminal} = splitWire(components, wire, {x: 270, y: 95}, 10, {x: 270, y: 300});
+    assertEqual(node.id, 10);
+    assertEqual(node.type, 'wire_node');
+    assertDeepEqual(halves, [
+      {id: 11, from: {compId: 1, terminal: 'pos'}, to: {compId: 10, terminal: 'd'}},
+      {id: 12, from: {compId: 10, terminal: 'b'}, to: {compId: 2, terminal: 'left'}}
+    ]);
+    assertEqual(terminal, 'c', 'free terminal faces the incoming wire');
+  });
+
+  test('a branch off a split wire lights a second bulb in parallel', () => {
+    const components = [
+      createComponent('battery', 60, 60, 1), createComponent('bulb', 360, 60, 2), createComponent('bulb', 360, 300, 3)
+    ];
+    const wire = {id: 4, from: {compId: 1, terminal: 'pos'}, to: {compId: 2, terminal: 'left'}};
+    const {node, halves, terminal} = splitWire(components, wire, {x: 270, y: 90}, 5, {x: 360, y: 330});
+    const all = [...components, node];
+    const wires = [
+      ...halves,
+      {id: 8, from: {compId: 3, terminal: 'left'}, to: {compId: 5, terminal: terminal}},
+      {id: 9, from: {compId: 2, terminal: 'right'}, to: {compId: 1, terminal: 'neg'}},
+      {id: 10, from: {compId: 3, terminal: 'right'}, to: {compId: 1, terminal: 'neg'}}
+    ];
+    const powered = checkPowered(all, wires);
+    assert(powered.has(2) && powered.has(3), 'both bulbs lit');
+  });
+});
+
 describe('Internal Connections', () => {
   test('bulb connects left to right internally', () => {
     const bulb = createComponent('bulb', 0, 0, 1);
@@ -4,10 +4,18 @@ const path = require('path');
 
 const PORT = 3462;
 
+const FILES = {
+  '/': ['index.html', 'text/html'],
+  '/index.html': ['index.html', 'text/html'],
+  '/circuit-engine.js': ['circuit-engine.js', 'application/javascript'],
+  '/tests.html': ['tests.html', 'text/html'],
+};
+
 const server = http.createServer((req, res) => {
-  if (req.url === '/' || req.url === '/index.html') {
-    res.writeHead(200, { 'Content-Type': 'text/html' });
-    res.end(fs.readFileSync(path.join(__dirname, 'index.html')));
+  const file = FILES[req.url.split('?')[0]];
+  if (file) {
+    res.writeHead(200, { 'Content-Type': file[1] });
+    res.end(fs.readFileSync(path.join(__dirname, file[0])));
   } else {
     res.writeHead(404);
     res.end('Not found');